@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+"use strict";
+
+const { CiderWS } = require("../ciderws.js");
+
+const usage = `Usage: ciderws <command> [arguments] [options]
+
+Commands:
+  play | pause | playpause | next | previous
+  seek <seconds>                 Skips to a time in the current song
+  volume [0-1]                   Prints or sets the volume
+  shuffle [on|off|toggle]        Prints or sets the shuffle mode
+  repeat [off|one|all|cycle]     Prints or sets the repeat mode
+  queue                          Prints the queue
+  search <query...>              Searches the catalog (--type, --limit, --offset)
+  lyrics                         Prints the lyrics of the current song
+  now-playing                    Prints the current song
+  watch                          Prints songUpdate and playbackUpdate events until stopped
+
+Options:
+  --host <host>                  The host to connect to (default: localhost)
+  --port <port>                  The port to connect to
+  --protocol <legacy|rpc|auto>   The Cider API to use (default: auto)
+  --token <token>                The app token for the RPC API
+  --timeout <ms>                 How long to wait for Cider (default: 10000)
+  --type <type>                  Search type: song, album, artist or playlist (default: song)
+  --limit <n>                    Number of search results (default: 10)
+  --offset <n>                   Number of search results to skip (default: 0)
+  --json                         Prints JSON instead of text
+  --help                         Shows this help`;
+
+const repeatModes = ["off", "one", "all"];
+
+/**
+ * Splits the arguments into positionals and --options
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  let args = { _: [], json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args._.push(arg);
+      continue;
+    }
+
+    let [key, value] = arg.slice(2).split("=");
+    if (key === "json" || key === "help") args[key] = true;
+    else args[key] = value !== undefined ? value : argv[++i];
+  }
+  return args;
+}
+
+/**
+ * Formats milliseconds as m:ss
+ * @param {number} ms
+ */
+function formatTime(ms) {
+  let seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function print(args, data, text) {
+  console.log(args.json ? JSON.stringify(data) : text);
+}
+
+async function nowPlaying(cider, args) {
+  let playback = new Promise(resolve => cider.once("playbackUpdate", resolve));
+  let song = await cider.getSong(true);
+  playback = await playback;
+
+  print(args, { song, playback },
+    `${playback.isPlaying ? "▶" : "⏸"} ${song.title} - ${song.artist} (${song.album}) [${formatTime(playback.elapsedTime)}/${formatTime(song.duration)}]`);
+}
+
+function watch(cider, args) {
+  cider.on("songUpdate", (song) => {
+    print(args, { event: "songUpdate", data: song }, `♪ ${song.title} - ${song.artist} (${song.album})`);
+  });
+  cider.on("playbackUpdate", (playback) => {
+    print(args, { event: "playbackUpdate", data: playback },
+      `  ${playback.isPlaying ? "▶" : "⏸"} ${formatTime(playback.elapsedTime)} / ${formatTime(playback.elapsedTime + playback.remainingTime)}`);
+  });
+  cider.on("close", () => { if (!args.json) console.error("Connection lost, reconnecting..."); });
+
+  const stop = () => {
+    cider.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  // e.g. when piped into head
+  process.stdout.on("error", stop);
+  // start with the current state instead of waiting for the next change
+  cider.forceUpdate();
+  // stay alive until stopped
+  return new Promise(() => { });
+}
+
+async function run(cider, args) {
+  let [command, ...params] = args._;
+
+  switch (command) {
+    case "play":
+    case "pause":
+    case "playpause":
+    case "next":
+    case "previous":
+      return cider.command(command);
+
+    case "seek":
+      return cider.seek(parseFloat(params[0]));
+
+    case "volume": {
+      if (params.length) return cider.setVolume(parseFloat(params[0]));
+      let states = await cider.getStates(true);
+      return print(args, { volume: states.volume }, `Volume: ${Math.round(states.volume * 100)}%`);
+    }
+
+    case "shuffle": {
+      if (params[0] === "toggle") return cider.toggleShuffle();
+      if (params.length) return cider.setShuffle(params[0] === "on");
+      let states = await cider.getStates(true);
+      return print(args, { shuffle: states.isShuffling }, `Shuffle: ${states.isShuffling ? "on" : "off"}`);
+    }
+
+    case "repeat": {
+      if (params[0] === "cycle") return cider.cycleRepeat();
+      if (params.length) {
+        let mode = repeatModes.indexOf(params[0]);
+        if (mode === -1) throw new Error(`Unknown repeat mode "${params[0]}" (use ${repeatModes.join(", ")} or cycle)`);
+        return cider.setRepeat(mode);
+      }
+      let states = await cider.getStates(true);
+      return print(args, { repeat: repeatModes[states.repeatMode] }, `Repeat: ${repeatModes[states.repeatMode]}`);
+    }
+
+    case "queue": {
+      let queue = await cider.getQueue();
+      return print(args, queue, queue.items.map((s, i) =>
+        `${i === queue.position ? ">" : " "} ${String(i).padStart(3)}  ${s.title} - ${s.artist} [${formatTime(s.duration)}]`).join("\n"));
+    }
+
+    case "search": {
+      let results = await cider.search(params.join(" "), args.type || "song", parseInt(args.limit || 10), parseInt(args.offset || 0));
+      return print(args, results, results.map(r =>
+        `${r.id}  ${r.title || r.name}${r.artist || r.curator ? ` - ${r.artist || r.curator}` : ""}`).join("\n"));
+    }
+
+    case "lyrics": {
+      if (args.json) return print(args, await cider.getLyricsAdvanced());
+      return print(args, undefined, await cider.getLyrics());
+    }
+
+    case "now-playing":
+      return nowPlaying(cider, args);
+
+    case "watch":
+      return watch(cider, args);
+
+    default:
+      throw new Error(`Unknown command "${command}", see ciderws --help`);
+  }
+}
+
+async function main() {
+  let args = parseArgs(process.argv.slice(2));
+  if (args.help || !args._.length) {
+    console.log(usage);
+    return;
+  }
+
+  let timeout = parseInt(args.timeout || 10000);
+  let cider = new CiderWS(args.host, args.port ? parseInt(args.port) : undefined, {
+    protocol: args.protocol || "auto",
+    token: args.token,
+    timeout: timeout,
+    buffer: true,
+    reconnect: args._[0] === "watch",
+    // watch would wait forever otherwise
+    onGiveUp: (attempts) => {
+      console.error(`Error: Could not reconnect to Cider after ${attempts} attempts`);
+      process.exit(1);
+    },
+  });
+  cider.on("error", (error) => { console.error(`Error: ${error.message}`); });
+
+  try {
+    // fails right away if nothing answers, only watch keeps trying
+    await cider.whenReady(timeout);
+    await run(cider, args);
+  } catch (error) {
+    if (error.code === "ERR_NOT_CONNECTED") console.error("Error: Could not connect to Cider (is it running?)");
+    else console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    cider.close();
+  }
+}
+
+main();
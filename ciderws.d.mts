@@ -0,0 +1,4 @@
+export * from "./ciderws.js";
+
+import * as ciderws from "./ciderws.js";
+export default ciderws;
@@ -0,0 +1,722 @@
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { Server } from "http";
+
+export type Command = "play" | "pause" | "playpause" | "next" | "previous";
+export type SearchType = "song" | "album" | "artist" | "playlist";
+/** Anything Apple Music can play, the common ones are listed for autocompletion */
+export type ItemKind = "song" | "album" | "playlist" | "station" | (string & {});
+export type LyricsFormat = "lrc" | "srt" | "vtt";
+/** A built-in curve or a function mapping the progress of the fade (0-1) to the progress of the volume (0-1) */
+export type FadeCurve = "linear" | "ease-in" | "ease-out" | "ease-in-out" | ((t: number) => number);
+/** 0 = off, 1 = repeat one, 2 = repeat all */
+export type RepeatMode = 0 | 1 | 2;
+/** 0 = connecting, 1 = open, 2 = closing, 3 = closed */
+export type ReadyState = 0 | 1 | 2 | 3;
+export type ProtocolName = "legacy" | "rpc";
+export type DropReason = "stale" | "overflow" | "closed";
+export type RelayPermission = "read" | "control" | null;
+
+/** A message in the shape of the legacy WebSocket API */
+export interface RawMessage {
+  type: string;
+  data?: any;
+  message?: string;
+  [key: string]: any;
+}
+
+/** An action in the shape of the legacy WebSocket API */
+export interface RawAction {
+  action: string;
+  [key: string]: any;
+}
+
+export class Song {
+  constructor(data: object);
+  id: string;
+  title: string;
+  artist: string;
+  album: string;
+  artwork: string;
+  trackNumber: number;
+  /** In milliseconds */
+  duration: number;
+  url: string;
+  genre: string[];
+}
+
+export class Album {
+  constructor(data: object);
+  id: string;
+  title: string;
+  artist: string;
+  artwork: string;
+  trackCount: number;
+  releaseDate: string;
+  url: string;
+  genre: string[];
+}
+
+export class Artist {
+  constructor(data: object);
+  id: string;
+  name: string;
+  artwork: string;
+  url: string;
+  genre: string[];
+}
+
+export class Playlist {
+  constructor(data: object);
+  id: string;
+  title: string;
+  curator: string;
+  description: string;
+  artwork: string;
+  url: string;
+}
+
+export class States {
+  constructor(data: object);
+  isPlaying: boolean;
+  isShuffling: boolean;
+  repeatMode: RepeatMode;
+  volume: number;
+  autoplay: boolean;
+}
+
+export class PlaybackData {
+  constructor(data: object);
+  isPlaying: boolean;
+  startTime: number;
+  endTime: number;
+  remainingTime: number;
+  elapsedTime: number;
+  progress: number;
+}
+
+export interface QueueDiff {
+  added: { index: number; song: Song }[];
+  removed: { index: number; song: Song }[];
+  moved: { from: number; to: number; song: Song }[];
+  position: { from: number; to: number } | null;
+}
+
+export class Queue {
+  constructor(cider: CiderWS);
+  readonly cider: CiderWS;
+  items: Song[];
+  isAutoplay: boolean;
+  isRestricted: boolean;
+  position: number;
+  nextPlayableIndex: number;
+  readonly current: Song | undefined;
+  readonly upcoming: Song[];
+  readonly history: Song[];
+  readonly length: number;
+  refresh(timeout?: number): Promise<Queue>;
+  move(from: number, to: number): Promise<Queue>;
+  moveMany(moves: [number, number][]): Promise<Queue>;
+  removeAt(index: number): Promise<Queue>;
+  clear(): Promise<Queue>;
+  insertAt(index: number, id: string, kind?: ItemKind): Promise<Queue>;
+  dedupe(): Promise<Song[]>;
+  shufflePreview(): Song[];
+}
+
+export interface LyricsLine {
+  /** In seconds */
+  startTime: number;
+  /** In seconds */
+  endTime: number;
+  line: string;
+  translation: string;
+}
+
+export interface ActiveLyric {
+  /** -1 if no line is active */
+  index: number;
+  line: string | null;
+  translation: string;
+  startTime: number | null;
+  endTime: number | null;
+  next: LyricsLine | null;
+}
+
+export interface SearchResults {
+  songs?: Song[];
+  albums?: Album[];
+  artists?: Artist[];
+  playlists?: Playlist[];
+}
+
+type SearchResult<T extends SearchType> =
+  T extends "song" ? Song :
+  T extends "album" ? Album :
+  T extends "artist" ? Artist :
+  T extends "playlist" ? Playlist :
+  never;
+
+export interface CiderWSOptions {
+  reconnect?: boolean;
+  maxRetries?: number;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  jitter?: number;
+  onGiveUp?: (attempts: number) => void;
+  timeout?: number;
+  protocol?: ProtocolName | "auto" | Protocol;
+  token?: string;
+  storefront?: string;
+  buffer?: boolean;
+  bufferSize?: number;
+  bufferMaxAge?: number;
+  seekThreshold?: number;
+  tickInterval?: number;
+  /** A JSON file to keep the scheduled jobs in */
+  scheduleFile?: string;
+  /** A JSONL file to record every message to and from Cider in */
+  record?: string;
+}
+
+export interface CiderWSEvents {
+  ready: [];
+  close: [event: any];
+  reconnecting: [attempt: number, delay: number];
+  reconnected: [attempts: number];
+  error: [error: Error];
+  songUpdate: [song: Song];
+  statesUpdate: [states: States];
+  playbackUpdate: [playback: PlaybackData];
+  lyricsLine: [lyric: ActiveLyric];
+  tick: [position: number, duration: number];
+  queueUpdate: [queue: Queue, diff: QueueDiff];
+  play: [isPlaying: true, old: false];
+  pause: [isPlaying: false, old: true];
+  volumeChange: [volume: number, old: number];
+  shuffleChange: [isShuffling: boolean, old: boolean];
+  repeatChange: [repeatMode: RepeatMode, old: RepeatMode];
+  autoplayChange: [autoplay: boolean, old: boolean];
+  seeked: [elapsedTime: number, old: number];
+  songEnd: [song: Song, previous: Song, playback: PlaybackData];
+  songSkip: [song: Song, previous: Song, playback: PlaybackData];
+}
+
+/** Only accepts event names that aren't in the event map */
+type Unknown<Events, E> = E extends keyof Events ? never : E;
+
+/**
+ * A typed EventEmitter: known events get their arguments checked, everything else (like the raw message types) is still allowed.
+ * Only a type, there is no such class at runtime.
+ */
+declare class TypedEmitter<Events extends Record<keyof Events, any[]>> extends EventEmitter {
+  on<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  on<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  once<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  once<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  off<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  off<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  addListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  addListener<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  removeListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  removeListener<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  prependListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  prependListener<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  prependOnceListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+  prependOnceListener<E extends string | symbol>(event: Unknown<Events, E>, listener: (...args: any[]) => void): this;
+  emit<E extends keyof Events>(event: E, ...args: Events[E]): boolean;
+  emit<E extends string | symbol>(event: Unknown<Events, E>, ...args: any[]): boolean;
+}
+
+export class CiderWS extends TypedEmitter<CiderWSEvents> {
+  constructor(host?: string, port?: number, options?: CiderWSOptions);
+  host: string;
+  port: number | undefined;
+  options: Required<Omit<CiderWSOptions, "onGiveUp" | "token" | "scheduleFile" | "record">> & Pick<CiderWSOptions, "onGiveUp" | "token" | "scheduleFile" | "record">;
+  /** The last known song */
+  currentSong: Song | undefined;
+  /** The last known states */
+  states: States | undefined;
+  /** The last known playback data */
+  playback: PlaybackData | undefined;
+  protocol: Protocol | undefined;
+  isReady: boolean;
+  queue: Queue;
+  scheduler: Scheduler;
+
+  connect(): void;
+  close(): void;
+  whenReady(timeout?: number): Promise<void>;
+  quit(): void;
+  forceUpdate(): void;
+  getSong(fresh?: boolean, timeout?: number): Promise<Song>;
+  getStates(fresh?: boolean, timeout?: number): Promise<States>;
+  getQueue(timeout?: number): Promise<Queue>;
+  moveQueue(from: number, to: number): void;
+  command(com: Command): void;
+  /** In seconds, or milliseconds if `adjust` is true */
+  seek(time: number, adjust?: boolean): void;
+  setVolume(volume: number): void;
+  mute(enable: boolean): void;
+  fadeTo(target: number, duration?: number, curve?: FadeCurve): Promise<boolean>;
+  fadeOut(duration?: number, curve?: FadeCurve): Promise<boolean>;
+  fadeIn(duration?: number, curve?: FadeCurve): Promise<boolean>;
+  duck(level: number, duration: number, fade?: number): Promise<boolean>;
+  cancelFade(): void;
+  schedule(job: JobOptions): Job;
+  pauseIn(duration: number, fade?: number): Job;
+  pauseAfter(what?: "track" | "album", fade?: number): Job;
+  cancelJob(job: Job | number | string): boolean;
+  cycleRepeat(): void;
+  setRepeat(mode: RepeatMode): void;
+  toggleShuffle(): void;
+  setShuffle(enabled: boolean): void;
+  setAutoplay(enabled: boolean): void;
+  getLyricsAdvanced(timeout?: number): Promise<LyricsLine[]>;
+  getLyrics(timeout?: number): Promise<string>;
+  exportLyrics(format?: LyricsFormat, options?: { translation?: boolean | "only"; timeout?: number }): Promise<string>;
+  currentLyric(): ActiveLyric;
+  /** The estimated elapsed time in milliseconds */
+  getPosition(): number;
+  playById(id: string, kind?: ItemKind): void;
+  playNextById(id: string, kind?: ItemKind): void;
+  playLaterById(id: string, kind?: ItemKind): void;
+  enqueueById(id: string, kind?: ItemKind): void;
+  search<T extends SearchType = "song">(query: string, type?: T, limit?: number, offset?: number, timeout?: number): Promise<SearchResult<T>[]>;
+  search(query: string, type: SearchType[], limit?: number, offset?: number, timeout?: number): Promise<SearchResults>;
+  playNext<T extends SearchType = "song">(query: string, type?: T): Promise<SearchResult<T> | null>;
+  playLater<T extends SearchType = "song">(query: string, type?: T): Promise<SearchResult<T> | null>;
+  enqueue<T extends SearchType = "song">(query: string, type?: T): Promise<SearchResult<T> | null>;
+  quickPlay<T extends SearchType = "song">(query: string, type?: T): Promise<SearchResult<T> | null>;
+}
+
+export interface ProtocolEvents {
+  message: [message: RawMessage];
+  ready: [];
+  close: [event: any];
+  error: [error: Error];
+}
+
+export class Protocol extends TypedEmitter<ProtocolEvents> {
+  constructor(host: string, port: number, options?: CiderWSOptions);
+  host: string;
+  port: number;
+  options: CiderWSOptions;
+  readonly readyState: ReadyState;
+  open(): void;
+  close(): void;
+  send(payload: RawAction): void;
+  request(payload: RawAction, replyType: string, timeout: number): Promise<RawMessage>;
+}
+
+export class LegacyProtocol extends Protocol {
+  constructor(host: string, port?: number, options?: CiderWSOptions);
+  static defaultPort: number;
+}
+
+export class RPCProtocol extends Protocol {
+  constructor(host: string, port?: number, options?: CiderWSOptions);
+  static defaultPort: number;
+}
+
+export type RecordedFrame =
+  | { t: number; dir: "meta"; protocol: string; time: number }
+  | { t: number; dir: "in"; data: RawMessage }
+  | { t: number; dir: "out"; data: RawAction; replyType?: string }
+  | { t: number; dir: "reply"; type: string; data: RawMessage };
+
+export class RecordingProtocol extends Protocol {
+  constructor(protocol: Protocol, options: { file: string });
+  protocol: Protocol;
+  file: string;
+  stop(): Promise<void>;
+}
+
+export interface ReplayOptions {
+  /** Default: 1, `Infinity` plays everything right away */
+  speed?: number;
+  /** Only play a frame on every `next()` */
+  step?: boolean;
+}
+
+/** Also emits `frame` (frame: RecordedFrame) and `end` () */
+export class ReplayProtocol extends Protocol {
+  constructor(recording: string | RecordedFrame[], options?: ReplayOptions);
+  /** The actions CiderWS sent */
+  sent: RawAction[];
+  next(): RecordedFrame | undefined;
+}
+
+export function readRecording(file: string): RecordedFrame[];
+
+export interface LyricsExportOptions {
+  translation?: boolean | "only";
+}
+
+export function toLRC(lines: LyricsLine[], options?: LyricsExportOptions & { song?: Song }): string;
+export function toSRT(lines: LyricsLine[], options?: LyricsExportOptions): string;
+export function toVTT(lines: LyricsLine[], options?: LyricsExportOptions): string;
+export function parseLRC(text: string): LyricsLine[];
+
+export interface HistoryEntry {
+  song: Song;
+  startedAt: number;
+  endedAt: number;
+  /** In milliseconds */
+  playedTime: number;
+}
+
+export interface HistoryOptions {
+  since?: number;
+  limit?: number;
+}
+
+export interface HistoryStore {
+  add(entry: HistoryEntry): void | Promise<void>;
+  list(options?: HistoryOptions): HistoryEntry[] | Promise<HistoryEntry[]>;
+}
+
+export class MemoryStore implements HistoryStore {
+  entries: HistoryEntry[];
+  add(entry: HistoryEntry): void;
+  list(options?: HistoryOptions): HistoryEntry[];
+}
+
+export class JSONLinesStore implements HistoryStore {
+  constructor(path: string);
+  path: string;
+  add(entry: HistoryEntry): Promise<void>;
+  list(options?: HistoryOptions): Promise<HistoryEntry[]>;
+}
+
+export class ScrobbleAdapter {
+  nowPlaying(song: Song): void | Promise<void>;
+  scrobble(entry: HistoryEntry): void | Promise<void>;
+}
+
+export class StubAdapter extends ScrobbleAdapter {
+  nowPlayingCalls: Song[];
+  scrobbles: HistoryEntry[];
+}
+
+export interface ScrobblerOptions {
+  store?: HistoryStore;
+  adapters?: ScrobbleAdapter[];
+  minPlayedRatio?: number;
+  minPlayedTime?: number;
+  minDuration?: number;
+  maxGap?: number;
+}
+
+export interface ScrobblerEvents {
+  nowPlaying: [song: Song];
+  scrobble: [entry: HistoryEntry];
+  skip: [entry: HistoryEntry];
+}
+
+export class Scrobbler extends TypedEmitter<ScrobblerEvents> {
+  constructor(cider: CiderWS, options?: ScrobblerOptions);
+  store: HistoryStore;
+  adapters: ScrobbleAdapter[];
+  addAdapter(adapter: ScrobbleAdapter): void;
+  history(options?: HistoryOptions): Promise<HistoryEntry[]>;
+  flush(): Promise<void>;
+  stop(): Promise<void>;
+}
+
+/** A Discord activity, see the Discord RPC documentation for everything that's possible */
+export interface Activity {
+  type?: number;
+  details?: string;
+  state?: string;
+  timestamps?: { start?: number; end?: number };
+  assets?: { large_image?: string; large_text?: string; small_image?: string; small_text?: string };
+  [key: string]: any;
+}
+
+export class PresenceTransport {
+  setActivity(activity: Activity): void | Promise<void>;
+  clearActivity(): void | Promise<void>;
+  close(): void | Promise<void>;
+}
+
+export class StubTransport extends PresenceTransport {
+  activities: Activity[];
+  cleared: number;
+}
+
+export class DiscordIPCTransport extends PresenceTransport {
+  constructor(clientId: string, options?: { path?: string; timeout?: number });
+  clientId: string;
+  setActivity(activity: Activity): Promise<void>;
+  clearActivity(): Promise<void>;
+}
+
+export interface PresenceOptions {
+  transport?: PresenceTransport;
+  throttle?: number;
+  showPaused?: boolean;
+}
+
+export interface PresenceEvents {
+  update: [activity: Activity | null];
+}
+
+export class Presence extends TypedEmitter<PresenceEvents> {
+  constructor(cider: CiderWS, options?: PresenceOptions);
+  transport: PresenceTransport;
+  /** The activity that was sent last */
+  activity: Activity | null;
+  buildActivity(song: Song, states?: States, playback?: PlaybackData): Activity | null;
+  stop(): Promise<void>;
+}
+
+export interface TemplateContext {
+  song?: Song;
+  states?: States;
+  playback?: PlaybackData;
+  /** The elapsed time in milliseconds, used instead of `playback.elapsedTime` if given */
+  position?: number;
+}
+
+export function compileTemplate(template: string): (context?: TemplateContext) => string;
+export function formatTemplate(template: string, context?: TemplateContext): string;
+
+export interface NowPlayingWriterOptions {
+  /** Templates by file path */
+  files: Record<string, string>;
+  artwork?: string;
+  idle?: string;
+}
+
+export class NowPlayingWriter {
+  constructor(cider: CiderWS, options: NowPlayingWriterOptions);
+  cider: CiderWS;
+  stop(): void;
+}
+
+export type RuleAction = "command" | "seek" | "setVolume" | "mute" | "setShuffle" | "setRepeat" | "setAutoplay"
+  | "playById" | "playNextById" | "playLaterById" | "fadeTo" | "fadeOut" | "fadeIn" | "duck";
+
+/** A string (case-insensitive), a RegExp, a range, the value itself or an array of alternatives */
+export type Matcher<T> = T | RegExp | { min?: number; max?: number } | (T | RegExp)[];
+
+export interface RuleConditions {
+  id?: Matcher<string>;
+  title?: Matcher<string>;
+  artist?: Matcher<string>;
+  album?: Matcher<string>;
+  genre?: Matcher<string>;
+  duration?: Matcher<number>;
+  isPlaying?: boolean;
+  isShuffling?: boolean;
+  repeatMode?: Matcher<RepeatMode>;
+  volume?: Matcher<number>;
+  autoplay?: boolean;
+  /** "HH:MM", also across midnight */
+  time?: { after?: string; before?: string };
+  /** 0 = Sunday */
+  days?: number[];
+}
+
+export interface RuleContext {
+  event: string;
+  args: any[];
+  song: Song | undefined;
+  states: States | undefined;
+  playback: PlaybackData | undefined;
+  date: Date;
+  dryRun?: boolean;
+}
+
+export interface Rule {
+  name?: string;
+  /** The CiderWS event to react to (default: "songUpdate") */
+  on?: keyof CiderWSEvents | (string & {});
+  when?: RuleConditions | ((context: RuleContext) => boolean);
+  /** Methods and their arguments (an array for several), or a function */
+  do: { [M in RuleAction]?: any } | ((cider: CiderWS, context: RuleContext) => void | Promise<void>);
+  cooldown?: number;
+  every?: number;
+  times?: number;
+}
+
+export interface AutomationEvents {
+  fired: [rule: Rule, context: RuleContext];
+}
+
+export class Automation extends TypedEmitter<AutomationEvents> {
+  constructor(cider: CiderWS, options?: { rules?: Rule[]; dryRun?: boolean });
+  dryRun: boolean;
+  readonly rules: Rule[];
+  addRule(rule: Rule): Rule;
+  removeRule(rule: Rule | string): boolean;
+  stop(): void;
+}
+
+export interface JobOptions {
+  name?: string;
+  /** A Date, a timestamp or "HH:MM" (the next time it's that time) */
+  at?: Date | number | string;
+  /** In milliseconds from now */
+  in?: number;
+  /** minute, hour, day of month, month, day of week */
+  cron?: string;
+  after?: "track" | "album";
+  /** Default: { command: "pause" } */
+  do?: { [M in RuleAction]?: any };
+  /** Fade out for this long (in ms) before the job fires, only for jobs that pause (`command: "pause"`) */
+  fade?: number;
+}
+
+export interface Job {
+  id: number;
+  name: string | undefined;
+  do: { [M in RuleAction]?: any };
+  fade: number;
+  /** The next run (not for `after` jobs) */
+  time: number | undefined;
+  cron: string | undefined;
+  after: "track" | "album" | undefined;
+  songId: string | undefined;
+  album: string | undefined;
+}
+
+export interface SchedulerEvents {
+  scheduled: [job: Job];
+  fired: [job: Job];
+  cancelled: [job: Job, reason: "cancelled" | "missed"];
+}
+
+export class Scheduler extends TypedEmitter<SchedulerEvents> {
+  constructor(cider: CiderWS, options?: { file?: string });
+  readonly jobs: Job[];
+  /** Resolves once the jobs are loaded from the file */
+  loading: Promise<void>;
+  schedule(job: JobOptions): Job;
+  pauseIn(duration: number, fade?: number): Job;
+  pauseAfter(what?: "track" | "album", fade?: number): Job;
+  cancel(job: Job | number | string): boolean;
+  cancelAll(): void;
+}
+
+export interface HTTPBridgeOptions {
+  port?: number;
+  host?: string;
+  token?: string;
+}
+
+export class HTTPBridge {
+  constructor(cider: CiderWS, options?: HTTPBridgeOptions);
+  cider: CiderWS;
+  server: Server | undefined;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+}
+
+/** The parts of a `ws` WebSocket that are safe to use on a relay client */
+export interface RelaySocket {
+  readyState: ReadyState;
+  send(data: string): void;
+  close(code?: number, reason?: string): void;
+}
+
+export interface RelayClient {
+  socket: RelaySocket;
+  address: string | undefined;
+  name: string | undefined;
+  permission: RelayPermission;
+}
+
+export interface CiderRelayOptions {
+  port?: number;
+  host?: string;
+  tokens?: Record<string, RelayPermission>;
+  defaultPermission?: RelayPermission;
+}
+
+export interface CiderRelayEvents {
+  listening: [];
+  connection: [client: RelayClient];
+  disconnect: [client: RelayClient];
+  denied: [client: RelayClient, action: string];
+  close: [];
+}
+
+export class CiderRelay extends TypedEmitter<CiderRelayEvents> {
+  constructor(cider: CiderWS, options?: CiderRelayOptions);
+  cider: CiderWS;
+  /** The `ws` WebSocketServer while running */
+  server: any;
+  clients: Set<RelayClient>;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  setPermission(client: RelayClient, permission: RelayPermission): void;
+  broadcast(message: RawMessage): void;
+}
+
+export class CiderWSError extends Error {
+  constructor(message: string, code: string, context?: object);
+  code: string;
+}
+
+export class MissingParameterError extends CiderWSError {
+  constructor(parameter: string);
+  parameter: string;
+}
+
+export class ParameterRangeError extends CiderWSError {
+  constructor(parameter: string, min: number, max: number, value: any);
+  parameter: string;
+  min: number;
+  max: number;
+  value: any;
+}
+
+export class ParameterTypeMismatchError extends CiderWSError {
+  constructor(parameter: string, expected: string, value: any);
+  parameter: string;
+  expected: string;
+  value: any;
+}
+
+export class ParameterValueError extends CiderWSError {
+  constructor(parameter: string, allowed: any[], value: any);
+  parameter: string;
+  allowed: any[];
+  value: any;
+}
+
+export class WebsocketConnectionError extends CiderWSError {
+  constructor(readyState: ReadyState);
+  readyState: ReadyState;
+}
+
+export class TimeoutError extends CiderWSError {
+  constructor(action: string, timeout: number);
+  action: string;
+  timeout: number;
+}
+
+export class UnsupportedActionError extends CiderWSError {
+  constructor(action: string, protocol: string);
+  action: string;
+  protocol: string;
+}
+
+export class CiderActionError extends CiderWSError {
+  constructor(action: string);
+  action: string;
+}
+
+export class ActionDroppedError extends CiderWSError {
+  constructor(action: string, reason: DropReason);
+  action: string;
+  reason: DropReason;
+}
+
+export class PermissionDeniedError extends CiderWSError {
+  constructor(action: string);
+  action: string;
+}
@@ -1,50 +1,163 @@
 "use strict";
 
-const WebSocket = require('ws');
-const events = require('events');
-const evem = new events.EventEmitter();
+const { EventEmitter } = require('events');
 
 const {
   Song,
+  Album,
+  Artist,
+  Playlist,
   States,
-  PlaybackData
+  PlaybackData,
+  Queue
 } = require("./src/classes.js");
 
+const errors = require("./src/errors.js");
 const {
   MissingParameterError,
   ParameterRangeError,
   ParameterTypeMismatchError,
-  WebsocketConnectionError
-} = require("./src/errors.js");
+  ParameterValueError,
+  WebsocketConnectionError,
+  TimeoutError,
+  ActionDroppedError
+} = errors;
+
+const lyricsFormats = require("./src/lyrics.js");
+const { LyricsTracker } = lyricsFormats;
+const { PlaybackClock } = require("./src/clock.js");
+const { Fader } = require("./src/fader.js");
+const { Scheduler } = require("./src/scheduler.js");
+const scrobbler = require("./src/scrobbler.js");
+const presence = require("./src/presence.js");
+const { NowPlayingWriter, compileTemplate, formatTemplate } = require("./src/nowplaying.js");
+const { Automation } = require("./src/automation.js");
+const { HTTPBridge } = require("./src/bridge.js");
+const { CiderRelay } = require("./src/relay.js");
+
+const {
+  Protocol,
+  LegacyProtocol,
+  RPCProtocol,
+  protocols,
+  detectRPC
+} = require("./src/protocols.js");
+const { RecordingProtocol, ReplayProtocol, readRecording } = require("./src/session.js");
+
+const COMMANDS = ["play", "pause", "playpause", "next", "previous"];
+const SEARCH_TYPES = {
+  song: { key: "songs", create: (r) => new Song(Object.assign({ songId: r.id }, r.attributes)) },
+  album: { key: "albums", create: (r) => new Album(r) },
+  artist: { key: "artists", create: (r) => new Artist(r) },
+  playlist: { key: "playlists", create: (r) => new Playlist(r) },
+};
+const LYRICS_FORMATS = { lrc: lyricsFormats.toLRC, srt: lyricsFormats.toSRT, vtt: lyricsFormats.toVTT };
 
 /**
  * CiderWS - A simple WebSocket client for Cider
  * 
  * @author ryzetech
  * @class CiderWS
+ * @extends EventEmitter
  * @public
  * 
  */
-class CiderWS {
+class CiderWS extends EventEmitter {
   /**
    * Creates a new connection to Cider
    * @since 1.0.0
    * @constructor
    * 
    * @param {string} host The host to connect to (default: localhost)
-   * @param {number} port The port to connect to (default: 26369)
+   * @param {number} port The port to connect to (default: 26369 for the legacy API, 10767 for the RPC API)
+   * @param {object} [options] Additional options
+   * @param {boolean} [options.reconnect = false] Whether to automatically reconnect when the connection drops
+   * @param {number} [options.maxRetries = 10] How many reconnection attempts are made before giving up
+   * @param {number} [options.retryDelay = 1000] The base delay between reconnection attempts in milliseconds, doubled on every attempt
+   * @param {number} [options.maxRetryDelay = 30000] The maximum delay between reconnection attempts in milliseconds
+   * @param {number} [options.jitter = 0.5] Random factor (0-1) added on top of the delay, so multiple clients don't hammer Cider at once
+   * @param {function} [options.onGiveUp] Gets called with the number of attempts once `maxRetries` is reached
+   * @param {number} [options.timeout = 10000] How long to wait for Cider to answer a request in milliseconds
+   * @param {string | Protocol} [options.protocol = "auto"] The API to use: "legacy" (Cider 1 WebSocket API), "rpc" (Cider 2 RPC API), "auto" (detects it) or your own Protocol instance
+   * @param {string} [options.token] The app token for the RPC API (if required in the Cider settings)
+   * @param {string} [options.storefront = "us"] The Apple Music storefront used for searching with the RPC API
+   * @param {boolean} [options.buffer = false] Whether to buffer actions while (re)connecting instead of throwing
+   * @param {number} [options.bufferSize = 100] How many actions are buffered at most (the oldest one is dropped when it's full)
+   * @param {number} [options.bufferMaxAge = 60000] How old a buffered action may get in milliseconds before it's dropped
+   * @param {number} [options.seekThreshold = 2000] How far the playback may jump in milliseconds before it counts as seeking
+   * @param {number} [options.tickInterval = 250] How often the `tick` event is emitted during playback, in milliseconds
+   * @param {string} [options.scheduleFile] A JSON file to keep the scheduled jobs in, so they survive a restart
+   * @param {string} [options.record] A JSONL file to record every message to and from Cider in (see RecordingProtocol)
    */
-  constructor(host = "localhost", port = 26369) {
+  constructor(host = "localhost", port, options = {}) {
+    super();
     this.host = host;
     this.port = port;
+    this.options = Object.assign({
+      reconnect: false,
+      maxRetries: 10,
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      jitter: 0.5,
+      onGiveUp: undefined,
+      timeout: 10000,
+      protocol: "auto",
+      token: undefined,
+      storefront: "us",
+      buffer: false,
+      bufferSize: 100,
+      bufferMaxAge: 60000,
+      seekThreshold: 2000,
+      tickInterval: 250,
+      scheduleFile: undefined,
+      record: undefined,
+    }, options);
     this.currentSong;
     this.states;
-    this.socket;
+    this.playback;
+    this.playbackTime;
+    this.protocol;
+    this.detecting = false;
+    this.retries = 0;
+    this.reconnectTimeout;
+    this.closedManually = false;
+    this.gaveUp = false;
+    this.isReady = false;
+    this.buffered = [];
+    this.pruneTimeout;
+    this.readyWaiters = new Set();
+    // the parts below listen here, so removeAllListeners() on this instance can't break them
+    this.internal = new EventEmitter();
+    this.updateRequest;
+    this.clock = new PlaybackClock(this);
+    this.fader = new Fader(this);
+    this.lyricsTracker = new LyricsTracker(this);
+    this.queue = new Queue(this);
+    this.scheduler = new Scheduler(this, { file: this.options.scheduleFile });
     this.connect();
   }
 
   connectionCheck() {
-    if (this.socket.readyState !== 1) throw new WebsocketConnectionError(this.socket.readyState);
+    if (this.canBuffer()) return;
+    let state = this.readyState();
+    if (state !== 1) throw new WebsocketConnectionError(state);
+  }
+
+  /**
+   * @private
+   * @returns {number} The state of the connection (0 = connecting, 1 = open, 2 = closing, 3 = closed)
+   */
+  readyState() {
+    return this.protocol ? this.protocol.readyState : (this.detecting ? 0 : 3);
+  }
+
+  /**
+   * Whether actions should go to the buffer instead of Cider right now
+   * @private
+   */
+  canBuffer() {
+    if (!this.options.buffer || this.isReady || this.closedManually) return false;
+    return this.readyState() !== 3 || (this.options.reconnect && !this.gaveUp);
   }
 
   /**
@@ -52,18 +165,152 @@ class CiderWS {
    */
   paramCheck(param, paramLabel, type, rangeStart, rangeEnd) {
     if (typeof (param) === "undefined") throw new MissingParameterError(paramLabel);
-    if (typeof (param) !== type) throw new ParameterTypeMismatchError(paramLabel, type);
+    if (typeof (param) !== type) throw new ParameterTypeMismatchError(paramLabel, type, param);
     if (typeof (rangeStart) !== "undefined" && typeof (rangeEnd) !== "undefined") {
-      if (!(param >= rangeStart && param <= rangeEnd)) throw new ParameterRangeError(paramLabel, rangeStart, rangeEnd);
+      if (!(param >= rangeStart && param <= rangeEnd)) throw new ParameterRangeError(paramLabel, rangeStart, rangeEnd, param);
+    }
+  }
+
+  /**
+   * Sends an action to Cider
+   * @private
+   * @param {object} payload The message to send
+   */
+  send(payload) {
+    if (this.canBuffer()) return this.bufferAction({ payload });
+    this.protocol.send(payload);
+  }
+
+  /**
+   * Sends an action and waits for the reply of the given type
+   * @private
+   * @param {object} payload The message to send
+   * @param {string} replyType The message type Cider answers with
+   * @param {number} [timeout] How long to wait for the reply in milliseconds
+   * @returns {Promise<object>} The raw reply
+   */
+  request(payload, replyType, timeout = this.options.timeout) {
+    if (!this.canBuffer()) return this.protocol.request(payload, replyType, timeout);
+
+    return new Promise((resolve, reject) => {
+      this.bufferAction({ payload, replyType, timeout, resolve, reject });
+    });
+  }
+
+  /**
+   * @private
+   * @param {object} entry The action and, for requests, how to answer it
+   */
+  bufferAction(entry) {
+    entry.time = Date.now();
+    this.pruneBuffer();
+    if (this.buffered.length >= this.options.bufferSize) this.dropAction(this.buffered.shift(), "overflow");
+    this.buffered.push(entry);
+
+    // the timeout of a request counts from when it was made, not from when it's finally sent
+    if (entry.replyType) {
+      entry.timer = setTimeout(() => {
+        let index = this.buffered.indexOf(entry);
+        if (index === -1) return;
+        this.buffered.splice(index, 1);
+        entry.reject(new TimeoutError(entry.payload.action, entry.timeout));
+      }, entry.timeout);
+    }
+    this.schedulePrune();
+  }
+
+  /**
+   * Drops every buffered action older than `bufferMaxAge`
+   * @private
+   */
+  pruneBuffer() {
+    while (this.buffered.length && Date.now() - this.buffered[0].time > this.options.bufferMaxAge) {
+      this.dropAction(this.buffered.shift(), "stale");
     }
+    this.schedulePrune();
   }
 
   /**
+   * Prunes the buffer right when the oldest action gets too old, so nobody waits longer than `bufferMaxAge`
    * @private
    */
-  handleMessage(event) {
-    let d = JSON.parse(event.data);
-    evem.emit(d.type, d);
+  schedulePrune() {
+    clearTimeout(this.pruneTimeout);
+    this.pruneTimeout = undefined;
+    if (!this.buffered.length) return;
+
+    let wait = this.buffered[0].time + this.options.bufferMaxAge - Date.now();
+    this.pruneTimeout = setTimeout(() => { this.pruneBuffer(); }, Math.max(wait, 0) + 1);
+  }
+
+  /**
+   * @private
+   */
+  dropAction(entry, reason) {
+    clearTimeout(entry.timer);
+    let error = new ActionDroppedError(entry.payload.action, reason);
+    if (entry.reject) entry.reject(error);
+    else this.handleError(error);
+  }
+
+  /**
+   * Sends all buffered actions in order
+   * @private
+   */
+  flushBuffer() {
+    this.pruneBuffer();
+    let entries = this.buffered;
+    this.buffered = [];
+    this.schedulePrune();
+
+    for (let entry of entries) {
+      if (!entry.replyType) {
+        this.protocol.send(entry.payload);
+        continue;
+      }
+      clearTimeout(entry.timer);
+      let remaining = Math.max(entry.time + entry.timeout - Date.now(), 0);
+      this.protocol.request(entry.payload, entry.replyType, remaining).then(entry.resolve, entry.reject);
+    }
+  }
+
+  /**
+   * @private
+   */
+  clearBuffer(reason) {
+    let entries = this.buffered;
+    this.buffered = [];
+    this.schedulePrune();
+    for (let entry of entries) this.dropAction(entry, reason);
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.retries >= this.options.maxRetries) {
+      this.gaveUp = true;
+      this.clearBuffer("closed");
+      if (typeof (this.options.onGiveUp) === "function") this.options.onGiveUp(this.retries);
+      return;
+    }
+
+    let delay = Math.min(this.options.retryDelay * Math.pow(2, this.retries), this.options.maxRetryDelay);
+    delay = Math.round(delay + delay * this.options.jitter * Math.random());
+    this.retries++;
+
+    this.emit("reconnecting", this.retries, delay);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = undefined;
+      this.openConnection();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(d) {
+    this.emit(d.type, d);
 
     switch (d.type) {
       default:
@@ -73,145 +320,244 @@ class CiderWS {
       case "playbackStateUpdate":
         let newSong = new Song(d);
         let newStat = new States(d);
+        let newPlayback = new PlaybackData(d);
+        let oldSong = this.currentSong;
+        let oldPlayback = this.playback;
+        let oldTime = this.playbackTime;
+        this.playback = newPlayback;
+        this.playbackTime = Date.now();
+
         if (this.currentSong == undefined || this.currentSong.id != newSong.id) {
           this.currentSong = newSong;
-          if (newSong.duration > 0) evem.emit("songUpdate", newSong);
+          if (newSong.duration > 0) {
+            if (oldSong && oldPlayback) this.notify(this.reachedEnd(oldPlayback) ? "songEnd" : "songSkip", newSong, oldSong, oldPlayback);
+            this.notify("songUpdate", newSong);
+          }
+        } else if (oldPlayback) {
+          this.diffPlayback(newPlayback, oldPlayback, this.playbackTime - oldTime);
         }
         if (JSON.stringify(this.states) != JSON.stringify(newStat)) {
+          let oldStat = this.states;
           this.states = newStat;
-          evem.emit("statesUpdate", newStat);
+          this.notify("statesUpdate", newStat);
+          if (oldStat) this.diffStates(newStat, oldStat);
         }
-        evem.emit("playbackUpdate", new PlaybackData(d));
+        this.notify("playbackUpdate", newPlayback);
         newSong = undefined;
         newStat = undefined;
         break;
-      case "generic":
-        if (d.message === "Thanks for identifying!") {
-          evem.emit("ready");
-        } else if (d.message === "Action not found") {
-          console.error("[CiderWS] Action not found!");
-        }
     }
   }
 
   /**
-   * Opens the WebSocket connection (executed on instantiation!)
+   * Emits an event to the parts of CiderWS (clock, fader, queue, ...) first and then on this instance
+   * @private
+   * @param {string} event
+   * @param {...any} args
    */
-  connect() {
-    if (!this.socket || this.socket.readyState == 3) {
-      this.socket = new WebSocket(`ws://${this.host}:${this.port}`);
-
-      this.socket.onopen = () => {
-        this.socket.send(JSON.stringify({
-          action: "identify",
-          name: "CiderWS",
-          author: "ryzetech",
-          description: "A NodeJS WebSocket client for Cider",
-          version: "pre-alpha",
-        }));
-      };
-      this.socket.onclose = (event) => { evem.emit("close"), event; };
-      this.socket.onmessage = (event) => { this.handleMessage(event); };
-    }
+  notify(event, ...args) {
+    this.internal.emit(event, ...args);
+    this.emit(event, ...args);
   }
 
   /**
-   * Closes the WebSocket connection
+   * Whether a song was (about to be) over with this playback
+   * @private
+   * @param {PlaybackData} playback
    */
-  close() {
-    this.socket.close();
+  reachedEnd(playback) {
+    return playback.remainingTime <= this.options.seekThreshold;
   }
 
   /**
-   * **NOT TO BE CONFUSED WITH close()!!!**  
-   * Doesn't only stop playback, but also closes the Cider instance! Y'know, just in case.
-   * Note that reconnecting to is not possible after this, unless you restart Cider.
+   * Emits `seeked` or, if a song on repeat starts over, `songEnd`
+   * @private
+   * @param {PlaybackData} playback The new playback data
+   * @param {PlaybackData} old The previous playback data
+   * @param {number} passed The milliseconds between both updates
    */
-  quit() {
-    this.connectionCheck();
+  diffPlayback(playback, old, passed) {
+    let expected = old.elapsedTime + (old.isPlaying ? passed : 0);
+    if (Math.abs(playback.elapsedTime - expected) <= this.options.seekThreshold) return;
+
+    if (this.reachedEnd(old) && playback.elapsedTime <= this.options.seekThreshold) {
+      this.notify("songEnd", this.currentSong, this.currentSong, old);
+    } else {
+      this.notify("seeked", playback.elapsedTime, old.elapsedTime);
+    }
+  }
 
-    this.socket.send(JSON.stringify({
-      action: 'quit',
-    }));
+  /**
+   * Emits an event for every state that changed
+   * @private
+   * @param {States} states The new states
+   * @param {States} old The previous states
+   */
+  diffStates(states, old) {
+    if (states.isPlaying !== old.isPlaying) this.notify(states.isPlaying ? "play" : "pause", states.isPlaying, old.isPlaying);
+    if (states.volume !== old.volume) this.notify("volumeChange", states.volume, old.volume);
+    if (states.isShuffling !== old.isShuffling) this.notify("shuffleChange", states.isShuffling, old.isShuffling);
+    if (states.repeatMode !== old.repeatMode) this.notify("repeatChange", states.repeatMode, old.repeatMode);
+    if (states.autoplay !== old.autoplay) this.notify("autoplayChange", states.autoplay, old.autoplay);
   }
 
   /**
-   * Adds a listener to the event emitter.  
-   * The listener can be called multiple times, for each event emitted.
-   * @param {string} event 
-   * @param {function} callback 
+   * Opens the WebSocket connection (executed on instantiation!)
    */
-  on(event, callback) {
-    evem.on(event, callback);
+  connect() {
+    this.closedManually = false;
+    this.gaveUp = false;
+    this.internal.emit("connect");
+    this.openConnection();
   }
 
   /**
-   * Adds a listener to the event emitter.  
-   * The listener can only be called once, the first time an event is emitted.
-   * @param {string} event 
-   * @param {function} callback 
+   * Emits errors that can't be thrown (e.g. from fire-and-forget actions) as an `error` event
+   * @private
+   * @param {Error} error
    */
-  once(event, callback) {
-    evem.once(event, callback);
+  handleError(error) {
+    // an unhandled error event would crash the process, which is a bit much for a failed action
+    if (this.listenerCount("error") > 0) this.emit("error", error);
+    else process.emitWarning(error);
   }
 
   /**
-   * Will remove one instance of the listener from the listener array for the event named `event`.
-   * @param {string} event 
-   * @param {function} callback 
+   * @private
    */
-  removeListener(event, callback) {
-    evem.removeListener(event, callback);
+  openConnection() {
+    if (this.protocol) return this.protocol.open();
+    if (this.detecting) return;
+
+    if (this.options.protocol !== "auto") {
+      this.useProtocol(this.options.protocol);
+      return this.protocol.open();
+    }
+
+    this.detecting = true;
+    detectRPC(this.host, this.port).then(isRPC => {
+      this.detecting = false;
+      if (this.closedManually) return;
+      this.useProtocol(isRPC ? "rpc" : "legacy");
+      this.protocol.open();
+    });
   }
 
   /**
-   * Alias for removeListener()
-   * @see {@link removeListener()}
-   * @param {string} event 
-   * @param {function} callback 
+   * @private
+   * @param {string | Protocol} protocol The name of the protocol or a Protocol instance
    */
-  off(event, callback) {
-    this.removeListener(event, callback);
+  useProtocol(protocol) {
+    if (!(protocol instanceof Protocol)) {
+      if (!protocols[protocol]) throw new ParameterValueError("protocol", Object.keys(protocols).concat("auto"), protocol);
+      protocol = new protocols[protocol](this.host, this.port, this.options);
+    }
+    if (this.options.record && !(protocol instanceof RecordingProtocol)) {
+      protocol = new RecordingProtocol(protocol, { file: this.options.record });
+    }
+
+    let connected = false;
+    this.protocol = protocol;
+    this.protocol.on("message", (d) => { this.handleMessage(d); });
+    this.protocol.on("ready", () => {
+      connected = true;
+      this.isReady = true;
+      this.flushBuffer();
+      this.settleReadyWaiters();
+      this.emit("ready");
+      if (this.retries > 0) {
+        this.emit("reconnected", this.retries);
+        this.retries = 0;
+      }
+    });
+    this.protocol.on("close", (event) => {
+      // nothing answered yet, so the protocol gets detected again on the next attempt
+      if (this.options.protocol === "auto" && !connected) {
+        protocol.removeAllListeners();
+        this.protocol = undefined;
+      }
+      this.isReady = false;
+      this.emit("close", event);
+      // another attempt follows, so it might still work out
+      if (!this.willReconnect()) this.settleReadyWaiters(new WebsocketConnectionError(3));
+      if (this.options.reconnect && !this.closedManually) this.scheduleReconnect();
+      else this.clearBuffer("closed");
+    });
+    this.protocol.on("error", (error) => { this.handleError(error); });
   }
 
   /**
-   * Removes all listeners, or those specified with `event`.  
-   * 
-   * **DO NOT DO THIS! NEVER!**  
-   * IT IS BAD PRACTICE AND I'VE INCLUDED IT JUST SO YOU HAVE THE POSSIBILITY!  
-   * I EXPECT YOU TO BE RESPONSIBLE WITH THIS METHOD!
-   * @param {string=} event 
+   * Closes the connection (and stops reconnecting), a recording is finished as well
    */
-  removeAllListeners(event) {
-    evem.removeAllListeners(event);
+  close() {
+    this.closedManually = true;
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = undefined;
+    this.clearBuffer("closed");
+    this.settleReadyWaiters(new WebsocketConnectionError(3));
+    this.internal.emit("close");
+    if (this.protocol) this.protocol.close();
+    if (this.protocol instanceof RecordingProtocol) this.protocol.stop().catch(error => this.handleError(error));
   }
 
   /**
-   * Returns an array listing the events for which the emitter has registered listeners. The values in the array are strings or `Symbol`s.
-   * @returns {(string | symbol)[]} List of events for which listeners are registered
+   * Waits until the connection is ready (resolves right away if it already is).  
+   * Rejects with a WebsocketConnectionError once the connection is closed for good (reconnecting is off, gave up or `close()` was called).
+   * @async
+   * @param {number} [timeout] How long to wait in milliseconds (waits forever if not given)
+   * @returns {Promise<void>}
    */
-  eventNames() {
-    return evem.eventNames();
+  whenReady(timeout) {
+    if (this.isReady) return Promise.resolve();
+    if (this.readyState() === 3 && !this.reconnectTimeout && !this.willReconnect()) return Promise.reject(new WebsocketConnectionError(3));
+
+    return new Promise((resolve, reject) => {
+      let waiter = { resolve, reject };
+      this.readyWaiters.add(waiter);
+      if (typeof (timeout) === "number") {
+        waiter.timer = setTimeout(() => {
+          this.readyWaiters.delete(waiter);
+          reject(new TimeoutError("ready", timeout));
+        }, timeout);
+      }
+    });
   }
 
   /**
-   * Returns the number of listeners listening to the event named `event`.
-   * @param {string} event 
-   * @returns {number}
+   * Settles everything waiting in whenReady()
+   * @private
+   * @param {Error} [error] Rejects them with this error if given
    */
-  listenerCount(event) {
-    return evem.listenerCount(event);
+  settleReadyWaiters(error) {
+    let waiters = this.readyWaiters;
+    this.readyWaiters = new Set();
+    for (let waiter of waiters) {
+      clearTimeout(waiter.timer);
+      if (error) waiter.reject(error);
+      else waiter.resolve();
+    }
   }
 
   /**
-   * Returns a copy of the array of listeners for the event named `event`.
-   * @param {(string | symbol)} event 
-   * @returns {function[]}
+   * Whether another connection attempt follows when the connection closes (or is closed) right now
+   * @private
    */
-  listeners(event) {
-    return evem.listeners(event);
+  willReconnect() {
+    return this.options.reconnect && !this.closedManually && !this.gaveUp && this.retries < this.options.maxRetries;
   }
 
+  /**
+   * **NOT TO BE CONFUSED WITH close()!!!**  
+   * Doesn't only stop playback, but also closes the Cider instance! Y'know, just in case.
+   * Note that reconnecting to is not possible after this, unless you restart Cider.
+   */
+  quit() {
+    this.connectionCheck();
+
+    this.send({
+      action: 'quit',
+    });
+  }
 
   /**
    * Forces CiderWS to fetch and update the current song and states
@@ -219,88 +565,62 @@ class CiderWS {
   forceUpdate() {
     this.connectionCheck();
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'get-currentmediaitem',
-    }));
+    });
+  }
+
+  /**
+   * Requests a new playbackStateUpdate and waits for it.  
+   * Parallel calls share the same request.
+   * @private
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds
+   */
+  waitForUpdate(timeout) {
+    if (!this.updateRequest) {
+      this.updateRequest = this.request({
+        action: 'get-currentmediaitem',
+      }, "playbackStateUpdate", timeout).finally(() => { this.updateRequest = undefined; });
+    }
+    return this.updateRequest;
   }
 
   /**
    * Gets the current song
    * @async
+   * @param {boolean} [fresh = false] If true, always fetches the song from Cider instead of returning the last known one
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
    * @returns {Song} The current song
    */
-  async getSong() {
+  async getSong(fresh = false, timeout) {
     this.connectionCheck();
 
-    this.forceUpdate();
-
-    return new Promise(resolve => {
-      if (this.currentSong) return resolve(this.currentSong);
-      const interval = setInterval(() => {
-        if (!this.currentSong) return;
-        clearInterval(interval);
-        resolve(this.currentSong);
-      }, 10);
-    });
+    if (fresh || !this.currentSong) await this.waitForUpdate(timeout);
+    return this.currentSong;
   }
 
   /**
    * Gets the current states
    * @async
+   * @param {boolean} [fresh = false] If true, always fetches the states from Cider instead of returning the last known ones
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
    * @returns {States} The current states
    */
-  async getStates() {
+  async getStates(fresh = false, timeout) {
     this.connectionCheck();
 
-    this.forceUpdate();
-
-    return new Promise(resolve => {
-      if (this.states) return resolve(this.states);
-      const interval = setInterval(() => {
-        if (!this.states) return;
-        clearInterval(interval);
-        resolve(this.states);
-      }, 10);
-    });
+    if (fresh || !this.states) await this.waitForUpdate(timeout);
+    return this.states;
   }
 
   /**
    * Gets the current song queue
-   * @returns {object} The current queue data: ```
-   * {
-   *  items: Song[],
-   *  isAutoplay: boolean,
-   *  isRestricted: boolean,
-   *  position: number,
-   *  nextPlayableIndex: number,
-   * }
-   * ```
+   * @async
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
+   * @returns {Queue} The queue (also available as `queue`), refreshed from Cider
    */
-  async getQueue() {
-    this.connectionCheck();
-
-    this.socket.send(JSON.stringify({
-      action: 'get-queue',
-    }));
-
-    return new Promise(resolve => {
-      evem.once("queue", queue => {
-        queue = queue.data;
-        let response = {
-          items: [],
-          isAutoplay: queue.hasAutoplayStation,
-          isRestricted: queue._isRestricted,
-          position: queue._position,
-          nextPlayableIndex: queue._nextPlayableItemIndex,
-        };
-
-        for (let s of queue._queueItems) {
-          response.items.push(new Song(s.item.attributes));
-        }
-
-        resolve(response);
-      });
-    });
+  async getQueue(timeout) {
+    return this.queue.refresh(timeout);
   }
 
   /**
@@ -311,11 +631,14 @@ class CiderWS {
   moveQueue(from, to) {
     this.connectionCheck();
 
-    this.socket.send(JSON.stringify({
+    this.paramCheck(from, "from", "number");
+    this.paramCheck(to, "to", "number");
+
+    this.send({
       action: 'queue-move',
       from: from,
       to: to,
-    }));
+    });
   }
 
   /**
@@ -326,11 +649,11 @@ class CiderWS {
     this.connectionCheck();
 
     this.paramCheck(com, "command", "string");
-    if (!["play", "pause", "playpause", "next", "previous"].includes(com)) throw new Error("You can only use the commands 'play', 'pause', 'playpause', 'next' and 'previous' with command()");
+    if (!COMMANDS.includes(com)) throw new ParameterValueError("command", COMMANDS, com);
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: com,
-    }));
+    });
   }
 
   /**
@@ -343,19 +666,19 @@ class CiderWS {
 
     this.paramCheck(time, "time", "number");
 
-    if (!parseFloat(time)) throw new ParameterTypeMismatchError("time", "float");
+    if (!parseFloat(time)) throw new ParameterTypeMismatchError("time", "float", time);
 
     if (adjust) {
       time = parseInt(time / 1000);
     }
-    this.socket.send(JSON.stringify({
+    this.send({
       action: "seek",
       data: time,
-    }));
+    });
   }
 
   /**
-   * Sets the volume of the client
+   * Sets the volume of the client (and cancels a running fade or duck)
    * @param {number} volume The volume to set, from 0 to 1
    */
   setVolume(volume) {
@@ -363,20 +686,129 @@ class CiderWS {
 
     this.paramCheck(volume, "volume", "number", 0, 1);
 
-    this.socket.send(JSON.stringify({
+    // the next step of a running fade would overwrite it otherwise
+    this.fader.cancel();
+    this.sendVolume(volume);
+  }
+
+  /**
+   * Sets the volume without cancelling the fade, the fader uses this for its steps
+   * @private
+   * @param {number} volume The volume to set, from 0 to 1
+   */
+  sendVolume(volume) {
+    this.send({
       action: "volume",
       volume: volume,
-    }));
+    });
   }
 
+  /**
+   * Mutes or unmutes the player (Cider remembers the volume from before) and cancels a running fade or duck
+   * @param {boolean} enable true to mute, false to unmute
+   */
   mute(enable) {
     this.connectionCheck();
 
     this.paramCheck(enable, "enable", "boolean");
 
-    this.socket.send(JSON.stringify({
+    this.fader.cancel();
+    this.send({
       action: enable ? "mute" : "unmute",
-    }));
+    });
+  }
+
+  /**
+   * Fades the volume from the current level to the target.  
+   * Starting another fade, calling `cancelFade()` or changing the volume any other way (in Cider, too) cancels it.
+   * @async
+   * @param {number} target The volume to fade to (0-1)
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] "linear", "ease-in", "ease-out", "ease-in-out" or a function mapping 0-1 to 0-1
+   * @returns {Promise<boolean>} true once the target is reached, false if the fade was cancelled
+   */
+  fadeTo(target, duration, curve) {
+    return this.fader.fadeTo(target, duration, curve);
+  }
+
+  /**
+   * Fades out and pauses, then puts the volume back to where it was
+   * @async
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] The curve of the fade (see `fadeTo()`)
+   * @returns {Promise<boolean>} true once paused, false if the fade was cancelled
+   */
+  fadeOut(duration, curve) {
+    return this.fader.fadeOut(duration, curve);
+  }
+
+  /**
+   * Starts playing silently and fades in to the current volume
+   * @async
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] The curve of the fade (see `fadeTo()`)
+   * @returns {Promise<boolean>} true once the volume is back, false if the fade was cancelled
+   */
+  fadeIn(duration, curve) {
+    return this.fader.fadeIn(duration, curve);
+  }
+
+  /**
+   * Lowers the volume for a while and restores it afterwards
+   * @async
+   * @param {number} level The volume while ducked (0-1)
+   * @param {number} duration How long to stay ducked in milliseconds
+   * @param {number} [fade = 300] The duration of the fades down and up in milliseconds
+   * @returns {Promise<boolean>} true once the volume is restored, false if it was cancelled
+   */
+  duck(level, duration, fade) {
+    return this.fader.duck(level, duration, fade);
+  }
+
+  /**
+   * Stops the current fade or duck, leaving the volume where it is
+   */
+  cancelFade() {
+    this.fader.cancel();
+  }
+
+  /**
+   * Runs actions later: at a time, after a while, on a cron-like schedule or at the end of the current track or album.
+   * Listen on `scheduler` for the `scheduled`, `fired` and `cancelled` events.
+   * @param {object} job See the README
+   * @returns {object} The job, with an `id`
+   */
+  schedule(job) {
+    return this.scheduler.schedule(job);
+  }
+
+  /**
+   * Pauses after a while, like a sleep timer
+   * @param {number} duration In milliseconds
+   * @param {number} [fade = 0] How long to fade out before pausing, in milliseconds
+   * @returns {object} The job
+   */
+  pauseIn(duration, fade) {
+    return this.scheduler.pauseIn(duration, fade);
+  }
+
+  /**
+   * Pauses at the end of the current track or album
+   * @param {string} [what = "track"] "track" or "album"
+   * @param {number} [fade = 0] How long to fade out before pausing, in milliseconds
+   * @returns {object} The job
+   */
+  pauseAfter(what, fade) {
+    return this.scheduler.pauseAfter(what, fade);
+  }
+
+  /**
+   * Cancels a scheduled job
+   * @param {object | number | string} job The job, its ID or its name
+   * @returns {boolean} Whether a job was cancelled
+   */
+  cancelJob(job) {
+    return this.scheduler.cancel(job);
   }
 
   /**
@@ -385,9 +817,9 @@ class CiderWS {
   cycleRepeat() {
     this.connectionCheck();
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'repeat',
-    }));
+    });
   }
 
   /**
@@ -398,12 +830,12 @@ class CiderWS {
     this.connectionCheck();
 
     this.paramCheck(mode, "mode", "number", 0, 2);
-    if (mode % 1 !== 0) throw new ParameterTypeMismatchError("value", "whole number");
+    if (mode % 1 !== 0) throw new ParameterTypeMismatchError("mode", "whole number", mode);
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: "set-repeat",
       repeat: mode,
-    }));
+    });
   }
 
   /**
@@ -413,9 +845,9 @@ class CiderWS {
   toggleShuffle() {
     this.connectionCheck();
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'shuffle',
-    }));
+    });
   }
 
   /**
@@ -427,10 +859,10 @@ class CiderWS {
 
     this.paramCheck(enabled, "enabled", "boolean");
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'set-shuffle',
       shuffle: enabled ? 1 : 0,
-    }));
+    });
   }
 
   /**
@@ -442,10 +874,10 @@ class CiderWS {
 
     this.paramCheck(enabled, "enabled", "boolean");
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: "set-autoplay",
       autoplay: enabled,
-    }));
+    });
   }
 
   /**
@@ -456,27 +888,25 @@ class CiderWS {
    * - `endTime` - The time at which the lyric should be hidden, in seconds
    * - `line` - The lyric text
    * - `translation` - The translation of the lyric text (if available and chosen)
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
    */
-  async getLyricsAdvanced() {
+  async getLyricsAdvanced(timeout) {
     this.connectionCheck();
 
-    this.socket.send(JSON.stringify({
+    let data = await this.request({
       action: 'get-lyrics',
-    }));
-    return new Promise((resolve, reject) => {
-      evem.once("lyrics", (data) => {
-        resolve(data.data);
-      });
-    });
+    }, "lyrics", timeout);
+    return data.data;
   }
 
   /**
    * Gets the lyrics for the current song in a plain text format (if available)
    * @async
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
    * @returns {string} The lyrics for the current song
    */
-  async getLyrics() {
-    let lyrics = await this.getLyricsAdvanced();
+  async getLyrics(timeout) {
+    let lyrics = await this.getLyricsAdvanced(timeout);
     let full = "";
     for (let l of lyrics) {
       let line = l.line.trim();
@@ -486,6 +916,47 @@ class CiderWS {
     return full;
   }
 
+  /**
+   * Gets the lyrics for the current song as LRC, SRT or WebVTT
+   * @async
+   * @param {string} [format = "lrc"] The format to export ("lrc", "srt" or "vtt")
+   * @param {object} [options]
+   * @param {boolean | string} [options.translation = false] true to include the translations, "only" to export a translation track
+   * @param {number} [options.timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
+   * @returns {string} The lyrics in the chosen format (LRC includes title, artist, album and length tags)
+   */
+  async exportLyrics(format = "lrc", options = {}) {
+    this.paramCheck(format, "format", "string");
+    if (!LYRICS_FORMATS[format]) throw new ParameterValueError("format", Object.keys(LYRICS_FORMATS), format);
+
+    let lyrics = await this.getLyricsAdvanced(options.timeout);
+    return LYRICS_FORMATS[format](lyrics, { translation: options.translation, song: this.currentSong });
+  }
+
+  /**
+   * Gets the lyric line that is sung right now.  
+   * The first call starts tracking the lyrics (if a `lyricsLine` listener didn't already), so it's only filled in once they are fetched.
+   * @returns {object} The active line with the following properties:
+   * - `index` - The index of the line (-1 if no line is active)
+   * - `line` - The lyric text, or null
+   * - `translation` - The translation of the lyric text (if available and chosen)
+   * - `startTime` / `endTime` - When the line starts and ends, in seconds
+   * - `next` - The upcoming line (like the objects from {@link getLyricsAdvanced}), or null
+   */
+  currentLyric() {
+    this.lyricsTracker.track();
+    return this.lyricsTracker.current();
+  }
+
+  /**
+   * Gets the position in the current song.  
+   * Unlike `PlaybackData.elapsedTime`, this keeps moving between the updates from Cider (and stands still while paused).
+   * @returns {number} The estimated elapsed time in milliseconds
+   */
+  getPosition() {
+    return this.clock.position();
+  }
+
   /**
    * Plays a Song by its ID immediately
    * @param {string} id The ID of the element to be played
@@ -497,11 +968,11 @@ class CiderWS {
     this.paramCheck(id, "id", "string");
     this.paramCheck(kind, "kind", "string");
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'play-mediaitem',
       id: id,
       kind: kind,
-    }));
+    });
   }
 
   /**
@@ -515,11 +986,11 @@ class CiderWS {
     this.paramCheck(id, "id", "string");
     this.paramCheck(kind, "kind", "string");
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'play-next',
       id: id,
       type: kind,
-    }));
+    });
   }
 
   /**
@@ -533,11 +1004,11 @@ class CiderWS {
     this.paramCheck(id, "id", "string");
     this.paramCheck(kind, "kind", "string");
 
-    this.socket.send(JSON.stringify({
+    this.send({
       action: 'play-later',
       id: id,
       type: kind,
-    }));
+    });
   }
 
   /**
@@ -550,65 +1021,66 @@ class CiderWS {
   }
 
   /**
-   * Searches for a song, artist, album or playlist and returns the results
+   * Searches for songs, artists, albums or playlists and returns the results
    * @async
    * @param {string} query 
-   * @param {string} [type = "song"]
-   * @param {number} [limit = 10]
-   * @returns {Song[] | object[]} An array of (Song) objects
+   * @param {string | string[]} [type = "song"] The type to search for ("song", "album", "artist", "playlist") or an array of them
+   * @param {number} [limit = 10] The number of results (per type)
+   * @param {number} [offset = 0] The number of results to skip (per type), for pagination
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds (defaults to the `timeout` option)
+   * @returns {Song[] | Album[] | Artist[] | Playlist[] | object} An array of results if `type` is a string, otherwise an object grouping them by type: ```
+   * {
+   *  songs: Song[],
+   *  albums: Album[],
+   *  artists: Artist[],
+   *  playlists: Playlist[],
+   * }
+   * ```
    */
-  async search(query, type = "song", limit = 10) {
+  async search(query, type = "song", limit = 10, offset = 0, timeout) {
     this.connectionCheck();
 
     this.paramCheck(query, "query", "string");
-    this.paramCheck(type, "type", "string");
+    let types = Array.isArray(type) ? type : [type];
+    if (!types.length) throw new MissingParameterError("type");
+    for (let t of types) {
+      this.paramCheck(t, "type", "string");
+      if (!SEARCH_TYPES[t]) throw new ParameterValueError("type", Object.keys(SEARCH_TYPES), t);
+    }
 
     this.paramCheck(limit, "limit", "number", 1, 50);
+    this.paramCheck(offset, "offset", "number");
 
-    this.socket.send(JSON.stringify({
+    let data = await this.request({
       action: 'search',
       term: query,
       limit: limit,
-    }));
-
-    return new Promise(resolve => {
-      evem.once("searchResults", (data) => {
-        let d = data.data;
-
-        switch (type) {
-          case "song":
-            d = d.songs.data;
-            let songs = [];
-            for (let s of d) {
-              songs.push(new Song(s.attributes));
-            }
-            resolve(songs);
-            break;
-          case "playlist":
-            d = d.playlists.data;
-            break;
-          case "album":
-            d = d.albums.data;
-            break;
-          case "artist":
-            d = d.artists.data;
-            break;
-        }
+      offset: offset,
+      types: types.map(t => SEARCH_TYPES[t].key).join(","),
+    }, "searchResults", timeout);
+    let d = data.data || {};
+
+    let results = {};
+    for (let t of types) {
+      let { key, create } = SEARCH_TYPES[t];
+      results[key] = (d[key] ? d[key].data : []).map(create);
+    }
 
-        resolve(d);
-      });
-    });
+    return Array.isArray(type) ? results : results[SEARCH_TYPES[type].key];
   }
 
   /**
-   * Searches for an element puts it next in the queue
+   * Searches for an element and puts it next in the queue
    * @async
    * @param {string} query The query to search for
    * @param {string} [type = "song"] The type of the query (song, playlist, album, artist)
+   * @returns {Song | Album | Artist | Playlist | null} The element that was found, or null if there was none
    */
   async playNext(query, type = "song") {
-    let result = await this.search(query, type, 1);
-    this.playNextById(result[0].id, type);
+    let [result] = await this.search(query, type, 1);
+    if (!result) return null;
+    this.playNextById(result.id, type);
+    return result;
   }
 
   /**
@@ -616,10 +1088,13 @@ class CiderWS {
    * @async
    * @param {string} query The query to search for
    * @param {string} [type = "song"] The type of the query (song, playlist, album, artist)
+   * @returns {Song | Album | Artist | Playlist | null} The element that was found, or null if there was none
    */
   async playLater(query, type = "song") {
-    let result = await this.search(query, type, 1);
-    this.playLaterById(result[0].id, type);
+    let [result] = await this.search(query, type, 1);
+    if (!result) return null;
+    this.playLaterById(result.id, type);
+    return result;
   }
 
   /**
@@ -627,9 +1102,10 @@ class CiderWS {
    * @async
    * @param {string} query The query to search for
    * @param {string} [type = "song"] The type of the query (song, playlist, album, artist)
+   * @returns {Song | Album | Artist | Playlist | null} The element that was found, or null if there was none
    */
   async enqueue(query, type = "song") {
-    await this.playLater(query, type);
+    return this.playLater(query, type);
   }
 
   /**
@@ -637,11 +1113,43 @@ class CiderWS {
    * @async
    * @param {string} query The query to search for
    * @param {string} [type = "song"] The type of the query (song, playlist, album, artist)
+   * @returns {Song | Album | Artist | Playlist | null} The element that was found, or null if there was none
    */
   async quickPlay(query, type = "song") {
-    let result = await this.search(query, type, 1);
-    this.playById(result[0].id, type);
+    let [result] = await this.search(query, type, 1);
+    if (!result) return null;
+    this.playById(result.id, type);
+    return result;
   }
 }
 
-module.exports = { CiderWS };
\ No newline at end of file
+module.exports = {
+  CiderWS,
+  Song,
+  Album,
+  Artist,
+  Playlist,
+  States,
+  PlaybackData,
+  Queue,
+  Protocol,
+  LegacyProtocol,
+  RPCProtocol,
+  RecordingProtocol,
+  ReplayProtocol,
+  readRecording,
+  toLRC: lyricsFormats.toLRC,
+  toSRT: lyricsFormats.toSRT,
+  toVTT: lyricsFormats.toVTT,
+  parseLRC: lyricsFormats.parseLRC,
+  ...scrobbler,
+  ...presence,
+  NowPlayingWriter,
+  compileTemplate,
+  formatTemplate,
+  Automation,
+  Scheduler,
+  HTTPBridge,
+  CiderRelay,
+  ...errors
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+// ES module entry point, the actual code is CommonJS and lives in ciderws.js
+import ciderws from "./ciderws.js";
+
+export const {
+  CiderWS,
+  Song,
+  Album,
+  Artist,
+  Playlist,
+  States,
+  PlaybackData,
+  Queue,
+  Protocol,
+  LegacyProtocol,
+  RPCProtocol,
+  RecordingProtocol,
+  ReplayProtocol,
+  readRecording,
+  toLRC,
+  toSRT,
+  toVTT,
+  parseLRC,
+  Scrobbler,
+  MemoryStore,
+  JSONLinesStore,
+  ScrobbleAdapter,
+  StubAdapter,
+  Presence,
+  PresenceTransport,
+  StubTransport,
+  DiscordIPCTransport,
+  NowPlayingWriter,
+  compileTemplate,
+  formatTemplate,
+  Automation,
+  Scheduler,
+  HTTPBridge,
+  CiderRelay,
+  CiderWSError,
+  MissingParameterError,
+  ParameterRangeError,
+  ParameterTypeMismatchError,
+  ParameterValueError,
+  WebsocketConnectionError,
+  TimeoutError,
+  UnsupportedActionError,
+  CiderActionError,
+  ActionDroppedError,
+  PermissionDeniedError
+} = ciderws;
+
+export default ciderws;
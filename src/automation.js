@@ -0,0 +1,272 @@
+"use strict";
+
+const { EventEmitter } = require('events');
+
+const {
+  MissingParameterError,
+  ParameterTypeMismatchError,
+  ParameterValueError
+} = require("./errors.js");
+
+/**
+ * The CiderWS methods a rule may call
+ */
+const RULE_ACTIONS = [
+  "command", "seek", "setVolume", "mute", "setShuffle", "setRepeat", "setAutoplay",
+  "playById", "playNextById", "playLaterById", "fadeTo", "fadeOut", "fadeIn", "duck",
+];
+
+const SONG_FIELDS = ["id", "title", "artist", "album", "genre", "duration"];
+const STATE_FIELDS = ["isPlaying", "isShuffling", "repeatMode", "volume", "autoplay"];
+const CONDITIONS = SONG_FIELDS.concat(STATE_FIELDS, ["time", "days"]);
+
+/**
+ * Checks a single value against a condition: a string (case-insensitive), a RegExp, `{ min, max }`, an array of alternatives or anything else (strict equality).
+ * Arrays as values (like genres) match if any of their entries matches.
+ * @private
+ */
+function matches(value, condition) {
+  if (Array.isArray(value)) return value.some(v => matches(v, condition));
+  if (Array.isArray(condition)) return condition.some(c => matches(value, c));
+  if (condition instanceof RegExp) return typeof (value) === "string" && condition.test(value);
+  if (typeof (condition) === "string") return typeof (value) === "string" && value.toLowerCase() === condition.toLowerCase();
+  if (condition !== null && typeof (condition) === "object") {
+    if (typeof (value) !== "number") return false;
+    if (condition.min !== undefined && value < condition.min) return false;
+    if (condition.max !== undefined && value > condition.max) return false;
+    return true;
+  }
+  return value === condition;
+}
+
+/**
+ * "HH:MM" to minutes since midnight
+ * @private
+ */
+function minutesOf(time) {
+  let [hours, minutes] = time.split(":").map(n => parseInt(n));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Whether the time of day is within `{ after, before }` (also across midnight, e.g. 22:00 to 06:00)
+ * @private
+ */
+function inTimeRange(date, range) {
+  let now = date.getHours() * 60 + date.getMinutes();
+  let after = range.after !== undefined ? minutesOf(range.after) : 0;
+  let before = range.before !== undefined ? minutesOf(range.before) : 24 * 60;
+  if (after <= before) return now >= after && now < before;
+  return now >= after || now < before;
+}
+
+/**
+ * Runs actions when events match conditions, so you don't have to hand-write the listeners.
+ *
+ * A rule looks like this:
+ * ```
+ * {
+ *  name: "no country",              // optional, shows up in the events
+ *  on: "songUpdate",                // the CiderWS event to react to (default: "songUpdate")
+ *  when: { genre: "Country" },      // conditions (see below) or a function getting the context, all of them have to match
+ *  do: { command: "next" },         // CiderWS methods and their arguments (an array for several), or a function getting the CiderWS instance and the context
+ *  cooldown: 0,                     // the minimum time between two runs in milliseconds
+ *  every: 1,                        // only run on every nth match
+ *  times: Infinity,                 // how often the rule may run at all
+ * }
+ * ```
+ * Conditions can check the song (`id`, `title`, `artist`, `album`, `genre`, `duration`), the states (`isPlaying`, `isShuffling`, `repeatMode`, `volume`, `autoplay`),
+ * the time of day (`time: { after: "22:00", before: "06:00" }`) and the weekday (`days: [0, 6]`, 0 = Sunday).
+ * Strings match case-insensitively, and RegExps, `{ min, max }` and arrays of alternatives work too.
+ *
+ * The context passed to functions is `{ event, args, song, states, playback, date }`.
+ *
+ * Emits `fired` (rule, context) whenever a rule runs (also in dry-run mode, with `context.dryRun` set).
+ *
+ * @class Automation
+ * @extends EventEmitter
+ * @param {CiderWS} cider The instance to automate
+ * @param {object} [options]
+ * @param {object[]} [options.rules] The rules to start with
+ * @param {boolean} [options.dryRun = false] If true, rules only emit `fired` instead of doing anything
+ */
+class Automation extends EventEmitter {
+  constructor(cider, options = {}) {
+    super();
+    this.cider = cider;
+    this.options = Object.assign({
+      rules: [],
+      dryRun: false,
+    }, options);
+    this.dryRun = this.options.dryRun;
+    this.entries = [];
+    this.handlers = {};
+
+    for (let rule of this.options.rules) this.addRule(rule);
+  }
+
+  /**
+   * All active rules
+   * @type {object[]}
+   */
+  get rules() {
+    return this.entries.map(e => e.rule);
+  }
+
+  /**
+   * Adds a rule (see the class description)
+   * @param {object} rule
+   * @returns {object} The rule
+   */
+  addRule(rule) {
+    validateRule(rule);
+    let event = rule.on || "songUpdate";
+    this.entries.push({ rule: rule, event: event, runs: 0, matched: 0, lastRun: 0 });
+
+    if (!this.handlers[event]) {
+      this.handlers[event] = (...args) => { this.handleEvent(event, args); };
+      this.cider.on(event, this.handlers[event]);
+    }
+    return rule;
+  }
+
+  /**
+   * Removes a rule
+   * @param {object | string} rule The rule or its name
+   * @returns {boolean} Whether a rule was removed
+   */
+  removeRule(rule) {
+    let index = this.entries.findIndex(e => e.rule === rule || (typeof (rule) === "string" && e.rule.name === rule));
+    if (index === -1) return false;
+
+    let [entry] = this.entries.splice(index, 1);
+    if (!this.entries.some(e => e.event === entry.event)) {
+      this.cider.removeListener(entry.event, this.handlers[entry.event]);
+      delete this.handlers[entry.event];
+    }
+    return true;
+  }
+
+  /**
+   * Removes all rules and stops listening
+   */
+  stop() {
+    for (let event in this.handlers) this.cider.removeListener(event, this.handlers[event]);
+    this.handlers = {};
+    this.entries = [];
+  }
+
+  /**
+   * @private
+   */
+  handleEvent(event, args) {
+    let context = {
+      event: event,
+      args: args,
+      song: this.cider.currentSong,
+      states: this.cider.states,
+      playback: this.cider.playback,
+      date: new Date(),
+    };
+
+    // copied, so rules removing themselves don't mess up the loop
+    for (let entry of this.entries.slice()) {
+      if (entry.event !== event) continue;
+      let rule = entry.rule;
+      if (entry.runs >= (rule.times !== undefined ? rule.times : Infinity)) continue;
+      if (rule.cooldown && Date.now() - entry.lastRun < rule.cooldown) continue;
+      if (!this.check(rule.when, context)) continue;
+
+      entry.matched++;
+      if (entry.matched % (rule.every || 1) !== 0) continue;
+
+      entry.runs++;
+      entry.lastRun = Date.now();
+      this.run(rule, context);
+    }
+  }
+
+  /**
+   * @private
+   */
+  check(when, context) {
+    if (!when) return true;
+    if (typeof (when) === "function") return !!when(context);
+
+    for (let key in when) {
+      let condition = when[key];
+      if (key === "time") {
+        if (!inTimeRange(context.date, condition)) return false;
+      } else if (key === "days") {
+        if (!condition.includes(context.date.getDay())) return false;
+      } else if (SONG_FIELDS.includes(key)) {
+        if (!context.song || !matches(context.song[key], condition)) return false;
+      } else if (!context.states || !matches(context.states[key], condition)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  run(rule, context) {
+    context = Object.assign({ dryRun: this.dryRun }, context);
+    this.emit("fired", rule, context);
+    if (this.dryRun) return;
+
+    const handle = (promise) => Promise.resolve(promise).catch(error => this.cider.handleError(error));
+    try {
+      if (typeof (rule.do) === "function") return handle(rule.do(this.cider, context));
+      for (let method in rule.do) {
+        let args = Array.isArray(rule.do[method]) ? rule.do[method] : [rule.do[method]];
+        handle(this.cider[method](...args));
+      }
+    } catch (error) {
+      this.cider.handleError(error);
+    }
+  }
+}
+
+/**
+ * Throws if a rule can't work, so mistakes show up when adding it and not when it should fire
+ * @private
+ */
+function validateRule(rule) {
+  if (!rule || typeof (rule) !== "object") throw new ParameterTypeMismatchError("rule", "object", rule);
+  if (rule.on !== undefined && typeof (rule.on) !== "string") throw new ParameterTypeMismatchError("rule.on", "string", rule.on);
+  if (!rule.do) throw new MissingParameterError("rule.do");
+
+  if (typeof (rule.do) !== "function") {
+    for (let method in rule.do) {
+      if (!RULE_ACTIONS.includes(method)) throw new ParameterValueError("rule action", RULE_ACTIONS, method);
+    }
+  }
+  if (rule.when && typeof (rule.when) !== "function") {
+    for (let key in rule.when) {
+      if (!CONDITIONS.includes(key)) throw new ParameterValueError("rule condition", CONDITIONS, key);
+    }
+    if (rule.when.time !== undefined) validateTimeRange(rule.when.time);
+  }
+}
+
+/**
+ * A time condition that isn't `{ after, before }` would match around the clock
+ * @private
+ */
+function validateTimeRange(range) {
+  if (!range || typeof (range) !== "object" || (range.after === undefined && range.before === undefined)) {
+    throw new ParameterValueError("rule condition time", ['{ after: "HH:MM", before: "HH:MM" }'], range);
+  }
+  for (let key of ["after", "before"]) {
+    let time = range[key];
+    if (time === undefined) continue;
+    let match = typeof (time) === "string" && /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw new ParameterValueError(`rule condition time.${key}`, ["HH:MM"], time);
+    }
+  }
+}
+
+module.exports = { Automation, RULE_ACTIONS };
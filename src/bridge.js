@@ -0,0 +1,229 @@
+"use strict";
+
+const http = require('http');
+
+const {
+  CiderWSError,
+  WebsocketConnectionError,
+  TimeoutError,
+  UnsupportedActionError,
+  CiderActionError,
+  PermissionDeniedError
+} = require("./errors.js");
+
+const SSE_EVENTS = ["songUpdate", "statesUpdate", "playbackUpdate"];
+
+/**
+ * An error answered with a specific HTTP status
+ * @private
+ */
+class HTTPError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * A small HTTP server wrapping a CiderWS instance, for everything that speaks HTTP but not WebSockets.
+ *
+ * Routes:
+ * - `GET /now-playing` - The current Song and the last PlaybackData
+ * - `GET /states` - The current States
+ * - `GET /queue` - The Queue
+ * - `GET /lyrics` - The lyrics as JSON, or as text with `?format=lrc|srt|vtt`
+ * - `GET /search?q=...&type=song&limit=10&offset=0` - Search results
+ * - `POST /command/:cmd` - play, pause, playpause, next or previous
+ * - `POST /seek` - `{ "time": seconds }`
+ * - `PUT /volume` - `{ "volume": 0-1 }`
+ * - `GET /events` - Server-Sent Events for songUpdate, statesUpdate and playbackUpdate
+ *
+ * @class HTTPBridge
+ * @param {CiderWS} cider The instance to expose
+ * @param {object} [options]
+ * @param {number} [options.port = 26370] The port to listen on
+ * @param {string} [options.host = "127.0.0.1"] The address to listen on (use "0.0.0.0" for the whole network)
+ * @param {string} [options.token] If set, requests need `Authorization: Bearer <token>` (or `?token=<token>`, e.g. for EventSource)
+ */
+class HTTPBridge {
+  constructor(cider, options = {}) {
+    this.cider = cider;
+    this.options = Object.assign({
+      port: 26370,
+      host: "127.0.0.1",
+      token: undefined,
+    }, options);
+    this.server;
+    this.clients = new Set();
+
+    this.listeners = {};
+    for (let event of SSE_EVENTS) {
+      this.listeners[event] = (data) => { this.broadcast(event, data); };
+    }
+  }
+
+  /**
+   * Starts the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  start() {
+    for (let event of SSE_EVENTS) this.cider.on(event, this.listeners[event]);
+
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => { this.handleRequest(req, res); });
+      this.server.once("error", reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener("error", reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the server and ends all event streams
+   * @async
+   * @returns {Promise<void>}
+   */
+  stop() {
+    for (let event of SSE_EVENTS) this.cider.removeListener(event, this.listeners[event]);
+    for (let client of this.clients) client.end();
+    this.clients.clear();
+
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = undefined;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  broadcast(event, data) {
+    let message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (let client of this.clients) client.write(message);
+  }
+
+  /**
+   * @private
+   */
+  authorized(req, url) {
+    if (!this.options.token) return true;
+    let header = req.headers.authorization || "";
+    return header === `Bearer ${this.options.token}` || url.searchParams.get("token") === this.options.token;
+  }
+
+  /**
+   * @private
+   */
+  async handleRequest(req, res) {
+    let url = new URL(req.url, "http://localhost");
+
+    try {
+      if (!this.authorized(req, url)) throw new HTTPError(401, "Invalid or missing token");
+      let result = await this.route(req, res, url);
+      if (result === undefined) {
+        res.writeHead(204);
+        res.end();
+      } else if (typeof (result) === "string") {
+        res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end(result);
+      } else if (result !== res) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result));
+      }
+    } catch (error) {
+      let status = statusOf(error);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message, code: error.code }));
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<object | string | undefined>} The response body (undefined for none, `res` if it was already handled)
+   */
+  async route(req, res, url) {
+    let path = url.pathname.replace(/\/+$/, "");
+    let route = `${req.method} ${path}`;
+    let command = /^POST \/command\/([a-z]+)$/.exec(route);
+
+    if (command) return this.cider.command(command[1]);
+
+    switch (route) {
+      case "GET /now-playing":
+        return { song: await this.cider.getSong(), playback: this.cider.playback || null };
+      case "GET /states":
+        return this.cider.getStates();
+      case "GET /queue":
+        return this.cider.getQueue();
+      case "GET /lyrics": {
+        let format = url.searchParams.get("format");
+        if (format) return this.cider.exportLyrics(format, { translation: url.searchParams.get("translation") === "true" });
+        return this.cider.getLyricsAdvanced();
+      }
+      case "GET /search": {
+        let query = url.searchParams.get("q");
+        if (!query) throw new HTTPError(400, "Missing query parameter \"q\"");
+        let type = url.searchParams.get("type") || "song";
+        return this.cider.search(query, type.includes(",") ? type.split(",") : type,
+          parseInt(url.searchParams.get("limit") || 10), parseInt(url.searchParams.get("offset") || 0));
+      }
+      case "POST /seek":
+        return this.cider.seek((await readBody(req)).time);
+      case "PUT /volume":
+        return this.cider.setVolume((await readBody(req)).volume);
+      case "GET /events":
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          "Connection": "keep-alive",
+        });
+        res.write(": connected\n\n");
+        this.clients.add(res);
+        req.on("close", () => { this.clients.delete(res); });
+        return res;
+      default:
+        throw new HTTPError(404, `No route for ${req.method} ${path}`);
+    }
+  }
+}
+
+/**
+ * Reads a JSON request body
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(new HTTPError(400, "Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Maps errors to HTTP status codes
+ * @private
+ */
+function statusOf(error) {
+  if (error instanceof HTTPError) return error.status;
+  if (error instanceof PermissionDeniedError) return 403;
+  if (error instanceof WebsocketConnectionError) return 503;
+  if (error instanceof TimeoutError) return 504;
+  if (error instanceof UnsupportedActionError || error instanceof CiderActionError) return 501;
+  if (error instanceof CiderWSError) return 400;
+  return 500;
+}
+
+module.exports = { HTTPBridge };
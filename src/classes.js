@@ -1,3 +1,8 @@
+const { ParameterTypeMismatchError, TimeoutError, CiderActionError, PermissionDeniedError } = require("./errors.js");
+
+// how often the queue is fetched while waiting for an appended element to show up, in milliseconds
+const APPEND_POLL_INTERVAL = 100;
+
 /**
  * This class defines the most important properties of a song.
  * It generates a new song object from a playbackStateUpdate event.
@@ -43,6 +48,99 @@
   }
 }
 
+/**
+ * Fills in the size of an Apple Music artwork URL
+ * @private
+ * @param {object} artwork The artwork object from the API
+ * @returns {string} The URL, or an empty string if there is no artwork
+ */
+function artworkUrl(artwork) {
+  if (!artwork || !artwork.url) return "";
+  return artwork.url.replace("{w}", artwork.width).replace("{h}", artwork.height);
+}
+
+/**
+ * This class defines the most important properties of an album.
+ * It is generated from an Apple Music API resource, e.g. from a search.
+ * 
+ * @class Album
+ * @param {Object} data The resource (or its attributes)
+ * 
+ * @var {string} id The album ID
+ * @var {string} title The album name
+ * @var {string} artist The album artist
+ * @var {string} artwork The album art URL
+ * @var {number} trackCount The number of tracks on the album
+ * @var {string} releaseDate The release date (YYYY-MM-DD)
+ * @var {string} url The Apple Music URL for the album
+ * @var {string[]} genre The album's genre(s)
+ */
+class Album {
+  constructor(data) {
+    this.id = data.id || "";
+    if (data.attributes) data = data.attributes;
+    if (!this.id && data.playParams) this.id = data.playParams.id;
+    this.title = data.name;
+    this.artist = data.artistName;
+    this.artwork = artworkUrl(data.artwork);
+    this.trackCount = data.trackCount;
+    this.releaseDate = data.releaseDate;
+    this.url = data.url;
+    this.genre = data.genreNames;
+  }
+}
+
+/**
+ * This class defines the most important properties of an artist.
+ * It is generated from an Apple Music API resource, e.g. from a search.
+ * 
+ * @class Artist
+ * @param {Object} data The resource (or its attributes)
+ * 
+ * @var {string} id The artist ID
+ * @var {string} name The artist name
+ * @var {string} artwork The artist image URL (empty if there is none)
+ * @var {string} url The Apple Music URL for the artist
+ * @var {string[]} genre The artist's genre(s)
+ */
+class Artist {
+  constructor(data) {
+    this.id = data.id || "";
+    if (data.attributes) data = data.attributes;
+    this.name = data.name;
+    this.artwork = artworkUrl(data.artwork);
+    this.url = data.url;
+    this.genre = data.genreNames;
+  }
+}
+
+/**
+ * This class defines the most important properties of a playlist.
+ * It is generated from an Apple Music API resource, e.g. from a search.
+ * 
+ * @class Playlist
+ * @param {Object} data The resource (or its attributes)
+ * 
+ * @var {string} id The playlist ID
+ * @var {string} title The playlist name
+ * @var {string} curator The curator of the playlist
+ * @var {string} description The description of the playlist
+ * @var {string} artwork The playlist cover URL
+ * @var {string} url The Apple Music URL for the playlist
+ */
+class Playlist {
+  constructor(data) {
+    this.id = data.id || "";
+    if (data.attributes) data = data.attributes;
+    if (!this.id && data.playParams) this.id = data.playParams.id;
+    this.title = data.name;
+    this.curator = data.curatorName;
+    this.description = data.description ? data.description.standard : "";
+    this.artwork = artworkUrl(data.artwork);
+    this.url = data.url;
+  }
+}
+
 /**
  * This class saves the current options and states for the player when defined by the client.
  * 
@@ -91,4 +189,360 @@ class PlaybackData {
   }
 }
 
-module.exports = { Song, States, PlaybackData };
\ No newline at end of file
+/**
+ * This class represents the queue of the player and keeps itself in sync with Cider.
+ * It is refreshed after every change made through it and on every song change (once it was fetched for the first time).
+ * Whenever it changes, a `queueUpdate` event is emitted on the CiderWS instance with the queue and a diff.
+ * 
+ * @class Queue
+ * @param {CiderWS} cider The instance the queue belongs to
+ * 
+ * @var {Song[]} items All songs in the queue, including the ones already played
+ * @var {boolean} isAutoplay Whether an autoplay station continues the queue
+ * @var {boolean} isRestricted Whether the queue is restricted
+ * @var {number} position The index of the current song
+ * @var {number} nextPlayableIndex The index of the next playable song
+ */
+class Queue {
+  constructor(cider) {
+    // not enumerable, so the queue can be turned into JSON
+    Object.defineProperty(this, "cider", { value: cider });
+    this.items = [];
+    this.isAutoplay = false;
+    this.isRestricted = false;
+    this.position = -1;
+    this.nextPlayableIndex = -1;
+    Object.defineProperty(this, "loaded", { value: false, writable: true });
+
+    cider.internal.on("songUpdate", () => {
+      if (this.loaded && cider.isReady) this.refresh().catch(error => cider.handleError(error));
+    });
+  }
+
+  /**
+   * The song playing right now
+   * @type {Song}
+   */
+  get current() {
+    return this.items[this.position];
+  }
+
+  /**
+   * The songs coming up after the current one
+   * @type {Song[]}
+   */
+  get upcoming() {
+    return this.items.slice(this.position + 1);
+  }
+
+  /**
+   * The songs played before the current one
+   * @type {Song[]}
+   */
+  get history() {
+    return this.items.slice(0, Math.max(this.position, 0));
+  }
+
+  /**
+   * The number of songs in the queue
+   * @type {number}
+   */
+  get length() {
+    return this.items.length;
+  }
+
+  /**
+   * Fetches the queue from Cider
+   * @async
+   * @param {number} [timeout] How long to wait for Cider to answer in milliseconds
+   * @returns {Queue} The updated queue
+   */
+  async refresh(timeout) {
+    this.cider.connectionCheck();
+
+    let queue = await this.cider.request({
+      action: 'get-queue',
+    }, "queue", timeout);
+    queue = queue.data;
+
+    let items = [];
+    for (let s of queue._queueItems) {
+      items.push(new Song(s.item.attributes));
+    }
+
+    let diff = diffQueue(this.items, items, this.position, queue._position);
+    this.items = items;
+    this.isAutoplay = queue.hasAutoplayStation;
+    this.isRestricted = queue._isRestricted;
+    this.position = queue._position;
+    this.nextPlayableIndex = queue._nextPlayableItemIndex;
+
+    // the first fetch is no change, there was just nothing known before
+    if (this.loaded && diff) this.cider.emit("queueUpdate", this, diff);
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  checkIndex(index, label, max = this.items.length - 1) {
+    this.cider.paramCheck(index, label, "number", 0, max);
+    if (index % 1 !== 0) throw new ParameterTypeMismatchError(label, "whole number", index);
+  }
+
+  /**
+   * Makes sure the queue is known before validating against it
+   * @private
+   */
+  async ensureLoaded() {
+    if (!this.loaded) await this.refresh();
+  }
+
+  /**
+   * Sends the changes one by one, each followed by a refresh.  
+   * Cider only answers a change if it fails ("Action not found", e.g. Cider 1 has no `queue-remove`), right before the queue,
+   * so a failed get-queue means the change before it failed.
+   * @private
+   * @param {object[]} payloads The changes
+   * @returns {Queue} The updated queue
+   */
+  async change(payloads) {
+    for (let payload of payloads) {
+      this.cider.send(payload);
+      try {
+        await this.refresh();
+      } catch (error) {
+        let blamed = error instanceof CiderActionError || error instanceof PermissionDeniedError;
+        if (!blamed || error.action !== "get-queue") throw error;
+        throw new error.constructor(payload.action);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Moves the song at `from` to `to`
+   * @async
+   * @param {number} from 
+   * @param {number} to 
+   * @returns {Queue} The updated queue
+   */
+  async move(from, to) {
+    return this.moveMany([[from, to]]);
+  }
+
+  /**
+   * Executes multiple moves in order, each one based on the queue after the move before it
+   * @async
+   * @param {number[][]} moves Pairs of `[from, to]`
+   * @returns {Queue} The updated queue
+   */
+  async moveMany(moves) {
+    this.cider.connectionCheck();
+
+    await this.ensureLoaded();
+    for (let [from, to] of moves) {
+      this.checkIndex(from, "from");
+      this.checkIndex(to, "to");
+    }
+
+    return this.change(moves.map(([from, to]) => ({
+      action: 'queue-move',
+      from: from,
+      to: to,
+    })));
+  }
+
+  /**
+   * Removes the song at the given index
+   * @async
+   * @param {number} index 
+   * @returns {Queue} The updated queue
+   */
+  async removeAt(index) {
+    this.cider.connectionCheck();
+
+    await this.ensureLoaded();
+    this.checkIndex(index, "index");
+
+    return this.change([{
+      action: 'queue-remove',
+      index: index,
+    }]);
+  }
+
+  /**
+   * Removes all upcoming songs
+   * @async
+   * @returns {Queue} The updated queue
+   */
+  async clear() {
+    this.cider.connectionCheck();
+
+    return this.change([{
+      action: 'queue-clear',
+    }]);
+  }
+
+  /**
+   * Inserts an element at the given index
+   * @async
+   * @param {number} index Where to insert it (the length of the queue appends it)
+   * @param {string} id The ID of the element
+   * @param {string} [kind = "song"] The type of the element
+   * @returns {Queue} The updated queue
+   */
+  async insertAt(index, id, kind = "song") {
+    this.cider.connectionCheck();
+
+    await this.ensureLoaded();
+    this.checkIndex(index, "index", this.items.length);
+
+    // Cider can only append, so it's appended and moved to where it belongs
+    let length = this.items.length;
+    let count = this.countOf(id);
+    this.cider.playLaterById(id, kind);
+    await this.waitForAppend(() => kind === "song" ? this.countOf(id) > count : this.items.length > length, "play-later");
+
+    if (kind === "song") {
+      let from = this.items.map(s => s.id).lastIndexOf(id);
+      return from === index ? this : this.move(from, index);
+    }
+    // albums and playlists come as a whole bunch of songs, which are moved one after another
+    let moves = [];
+    for (let from = length; from < this.items.length && index < length; from++) moves.push([from, index + from - length]);
+    return moves.length ? this.moveMany(moves) : this;
+  }
+
+  /**
+   * @private
+   * @returns {number} How often the song is in the queue
+   */
+  countOf(id) {
+    return this.items.filter(s => s.id === id).length;
+  }
+
+  /**
+   * Cider doesn't answer when it's done appending (and Cider 2 does it in a separate HTTP request),
+   * so the queue is fetched until the new element is there
+   * @private
+   * @param {function} appended Checks the refreshed queue
+   * @param {string} action The action to blame if it takes too long
+   */
+  async waitForAppend(appended, action) {
+    let timeout = this.cider.options.timeout;
+    let deadline = Date.now() + timeout;
+    while (true) {
+      await this.refresh();
+      if (appended()) return;
+      if (Date.now() >= deadline) throw new TimeoutError(action, timeout);
+      await new Promise(resolve => setTimeout(resolve, APPEND_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Removes every upcoming song that is already in the queue after the current position
+   * @async
+   * @returns {Song[]} The removed songs
+   */
+  async dedupe() {
+    await this.refresh();
+
+    let seen = new Set(this.current ? [this.current.id] : []);
+    let duplicates = [];
+    this.items.forEach((song, index) => {
+      if (index <= this.position) return;
+      if (seen.has(song.id)) duplicates.push(index);
+      seen.add(song.id);
+    });
+
+    let removed = duplicates.map(i => this.items[i]);
+    // from the back, so the indices stay valid
+    await this.change(duplicates.reverse().map(index => ({
+      action: 'queue-remove',
+      index: index,
+    })));
+    return removed;
+  }
+
+  /**
+   * Shows how the upcoming songs could look when shuffled, without changing anything
+   * @returns {Song[]} The shuffled upcoming songs
+   */
+  shufflePreview() {
+    let songs = this.upcoming;
+    for (let i = songs.length - 1; i > 0; i--) {
+      let j = Math.floor(Math.random() * (i + 1));
+      [songs[i], songs[j]] = [songs[j], songs[i]];
+    }
+    return songs;
+  }
+}
+
+/**
+ * Compares two versions of the queue
+ * @private
+ * @returns {object | undefined} The diff or undefined if nothing changed: ```
+ * {
+ *  added: { index: number, song: Song }[],
+ *  removed: { index: number, song: Song }[],
+ *  moved: { from: number, to: number, song: Song }[],
+ *  position: { from: number, to: number } | null,
+ * }
+ * ```
+ */
+function diffQueue(oldItems, newItems, oldPosition, newPosition) {
+  // duplicates get numbered, so every entry has a unique key
+  const keys = (items) => {
+    let counts = {};
+    return items.map(s => {
+      counts[s.id] = (counts[s.id] || 0) + 1;
+      return `${s.id}#${counts[s.id]}`;
+    });
+  };
+  let oldKeys = keys(oldItems);
+  let newKeys = keys(newItems);
+
+  let diff = { added: [], removed: [], moved: [], position: null };
+  newKeys.forEach((k, i) => { if (!oldKeys.includes(k)) diff.added.push({ index: i, song: newItems[i] }); });
+  oldKeys.forEach((k, i) => { if (!newKeys.includes(k)) diff.removed.push({ index: i, song: oldItems[i] }); });
+
+  // the songs that kept their order are the longest increasing run of old indices, everything else moved
+  let common = newKeys.map((k, i) => ({ key: k, from: oldKeys.indexOf(k), to: i })).filter(c => c.from !== -1);
+  let kept = new Set(longestIncreasing(common.map(c => c.from)).map(i => common[i].key));
+  for (let c of common) {
+    if (!kept.has(c.key)) diff.moved.push({ from: c.from, to: c.to, song: newItems[c.to] });
+  }
+
+  if (oldPosition !== newPosition) diff.position = { from: oldPosition, to: newPosition };
+  if (!diff.added.length && !diff.removed.length && !diff.moved.length && !diff.position) return undefined;
+  return diff;
+}
+
+/**
+ * @private
+ * @param {number[]} values
+ * @returns {number[]} The indices of the longest increasing subsequence
+ */
+function longestIncreasing(values) {
+  let lengths = values.map(() => 1);
+  let previous = values.map(() => -1);
+  let best = -1;
+
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+    if (best === -1 || lengths[i] > lengths[best]) best = i;
+  }
+
+  let result = [];
+  for (let i = best; i !== -1; i = previous[i]) result.unshift(i);
+  return result;
+}
+
+module.exports = { Song, Album, Artist, Playlist, States, PlaybackData, Queue };
\ No newline at end of file
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Guesses the playback position between two updates from Cider, so progress bars don't jump around.
+ * Every playbackUpdate corrects the clock, and while paused it stands still.
+ *
+ * While something listens for `tick`, it is emitted on the CiderWS instance every `tickInterval` milliseconds during playback
+ * and on every playbackUpdate, with the position and the duration of the song in milliseconds.
+ * New listeners are noticed with the next playbackUpdate.
+ *
+ * @class PlaybackClock
+ * @param {CiderWS} cider The instance to follow
+ */
+class PlaybackClock {
+  constructor(cider) {
+    this.cider = cider;
+    this.elapsed = 0;
+    this.time;
+    this.isPlaying = false;
+    this.songId;
+    this.last = 0;
+    this.timer;
+
+    cider.internal.on("playbackUpdate", (playback) => { this.update(playback); });
+  }
+
+  /**
+   * Whether anybody (outside or inside of CiderWS) listens for `tick`
+   * @private
+   * @type {boolean}
+   */
+  get listening() {
+    return this.cider.listenerCount("tick") > 0 || this.cider.internal.listenerCount("tick") > 0;
+  }
+
+  /**
+   * The duration of the current song in milliseconds
+   * @type {number}
+   */
+  get duration() {
+    return this.cider.currentSong ? this.cider.currentSong.duration : 0;
+  }
+
+  /**
+   * @returns {number} The estimated position in the current song in milliseconds
+   */
+  position() {
+    if (this.time === undefined) return 0;
+
+    let position = this.elapsed;
+    if (this.isPlaying) position += Date.now() - this.time;
+    // an update that is a bit behind the guess shouldn't make the position go back
+    position = Math.max(position, this.last);
+    if (this.duration > 0) position = Math.min(position, this.duration);
+
+    this.last = position;
+    return Math.round(position);
+  }
+
+  /**
+   * @private
+   * @param {PlaybackData} playback
+   */
+  update(playback) {
+    let song = this.cider.currentSong;
+    let songId = song ? song.id : undefined;
+    let guess = this.position();
+    let jumped = songId !== this.songId || !playback.isPlaying || Math.abs(playback.elapsedTime - guess) > this.cider.options.seekThreshold;
+
+    this.songId = songId;
+    this.elapsed = playback.elapsedTime;
+    this.time = Date.now();
+    this.isPlaying = playback.isPlaying;
+    // small differences only hold the clock back, anything bigger (seeking, a new song, pausing) moves it right away
+    if (jumped) this.last = 0;
+
+    if (this.listening) this.tick();
+    this.schedule();
+  }
+
+  /**
+   * Runs the timer while playing and somebody listens, and stops it otherwise
+   * @private
+   */
+  schedule() {
+    let run = this.isPlaying && this.listening;
+    if (run && !this.timer) {
+      this.timer = setInterval(() => {
+        if (this.listening) this.tick();
+        else this.schedule();
+      }, this.cider.options.tickInterval);
+      // a progress bar is no reason to keep the process alive
+      this.timer.unref();
+    } else if (!run && this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  /**
+   * @private
+   */
+  tick() {
+    if (this.time === undefined) return;
+    this.cider.notify("tick", this.position(), this.duration);
+  }
+}
+
+module.exports = { PlaybackClock };
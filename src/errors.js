@@ -1,34 +1,148 @@
-class MissingParameterError extends Error {
-  constructor(arg) {
-    super(`Missing parameter(s): ${arg}`);
+/**
+ * Base class for every error thrown by CiderWS.
+ *
+ * @class CiderWSError
+ * @param {string} message The error message
+ * @param {string} code A stable code to check against (instead of parsing the message)
+ * @param {object} [context] Additional properties attached to the error
+ */
+class CiderWSError extends Error {
+  constructor(message, code, context = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, context);
   }
 }
 
-class ParameterRangeError extends Error {
-  constructor(is, label, min, max) {
-    super(`Parameter "${label}" must be between ${min} and ${max} (is ${is})`);
+/**
+ * @var {string} parameter The name of the missing parameter
+ */
+class MissingParameterError extends CiderWSError {
+  constructor(parameter) {
+    super(`Missing parameter(s): ${parameter}`, "ERR_MISSING_PARAMETER", { parameter });
   }
 }
 
-class ParameterTypeMismatchError extends Error {
-  constructor(arg, type) {
-    super(`Invalid parameter(s): ${arg} (expected ${type})`);
+/**
+ * @var {string} parameter The name of the parameter
+ * @var {number} value The value that was passed
+ * @var {number} min The lowest allowed value
+ * @var {number} max The highest allowed value
+ */
+class ParameterRangeError extends CiderWSError {
+  constructor(parameter, min, max, value) {
+    super(`Parameter "${parameter}" must be between ${min} and ${max} (is ${value})`, "ERR_PARAMETER_RANGE", { parameter, value, min, max });
   }
 }
 
-class WebsocketConnectionError extends Error {
-  constructor(status) {
-    switch (status) {
+/**
+ * @var {string} parameter The name of the parameter
+ * @var {string} expected The expected type
+ * @var {*} value The value that was passed
+ */
+class ParameterTypeMismatchError extends CiderWSError {
+  constructor(parameter, expected, value) {
+    super(`Invalid parameter(s): ${parameter} (expected ${expected})`, "ERR_PARAMETER_TYPE", { parameter, expected, value });
+  }
+}
+
+/**
+ * @var {string} parameter The name of the parameter
+ * @var {Array} allowed The allowed values
+ * @var {*} value The value that was passed
+ */
+class ParameterValueError extends CiderWSError {
+  constructor(parameter, allowed, value) {
+    super(`Parameter "${parameter}" must be one of ${allowed.map(a => `"${a}"`).join(", ")} (is "${value}")`, "ERR_PARAMETER_VALUE", { parameter, allowed, value });
+  }
+}
+
+/**
+ * @var {number} readyState The state of the connection when the error was thrown
+ */
+class WebsocketConnectionError extends CiderWSError {
+  constructor(readyState) {
+    let message;
+    switch (readyState) {
       case 0:
-        super("Websocket has been created, but has not yet connected");
+        message = "Websocket has been created, but has not yet connected";
+        break;
       case 2:
-        super("Websocket is closing / has been closed");
+        message = "Websocket is closing / has been closed";
+        break;
       case 3:
-        super("Websocket has been closed or failed to connect");
+        message = "Websocket has been closed or failed to connect";
+        break;
       default:
+        message = `Websocket is in an unexpected state (${readyState})`;
         break;
     }
+    super(message, "ERR_NOT_CONNECTED", { readyState });
+  }
+}
+
+/**
+ * @var {string} action The action that didn't get an answer
+ * @var {number} timeout The time waited in milliseconds
+ */
+class TimeoutError extends CiderWSError {
+  constructor(action, timeout) {
+    super(`Cider did not answer "${action}" within ${timeout}ms`, "ERR_TIMEOUT", { action, timeout });
+  }
+}
+
+/**
+ * @var {string} action The action that isn't supported
+ * @var {string} protocol The protocol in use
+ */
+class UnsupportedActionError extends CiderWSError {
+  constructor(action, protocol) {
+    super(`Action "${action}" is not supported by the ${protocol} protocol`, "ERR_UNSUPPORTED_ACTION", { action, protocol });
+  }
+}
+
+/**
+ * Cider told us it doesn't know an action.
+ * @var {string} action The action Cider didn't know
+ */
+class CiderActionError extends CiderWSError {
+  constructor(action) {
+    super(`Cider does not know the action "${action}"`, "ERR_ACTION_NOT_FOUND", { action });
+  }
+}
+
+/**
+ * A buffered action was thrown away before it could be sent.
+ * @var {string} action The action that was dropped
+ * @var {string} reason Why it was dropped ("stale", "overflow" or "closed")
+ */
+class ActionDroppedError extends CiderWSError {
+  constructor(action, reason) {
+    super(`Action "${action}" was dropped before it could be sent (${reason})`, "ERR_ACTION_DROPPED", { action, reason });
+  }
+}
+
+/**
+ * A CiderRelay didn't allow an action.
+ * @var {string} action The action that was denied
+ */
+class PermissionDeniedError extends CiderWSError {
+  constructor(action) {
+    super(`Permission denied for the action "${action}"`, "ERR_PERMISSION_DENIED", { action });
   }
 }
 
-module.exports = { MissingParameterError, ParameterRangeError, ParameterTypeMismatchError, WebsocketConnectionError };
\ No newline at end of file
+module.exports = {
+  CiderWSError,
+  MissingParameterError,
+  ParameterRangeError,
+  ParameterTypeMismatchError,
+  ParameterValueError,
+  WebsocketConnectionError,
+  TimeoutError,
+  UnsupportedActionError,
+  CiderActionError,
+  ActionDroppedError,
+  PermissionDeniedError
+};
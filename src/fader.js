@@ -0,0 +1,238 @@
+"use strict";
+
+const { ParameterValueError } = require("./errors.js");
+
+/**
+ * The built-in fade curves, each maps the progress of the fade (0-1) to the progress of the volume (0-1)
+ */
+const FADE_CURVES = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => 1 - (1 - t) * (1 - t),
+  "ease-in-out": (t) => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+};
+
+// how often the volume is set during a fade, in milliseconds
+const FADE_STEP = 50;
+// how long the volumes we set are remembered to tell them apart from changes made in Cider itself, in milliseconds
+const SENT_MEMORY = 1000;
+// Cider doesn't always report the volume exactly like it was set
+const TOLERANCE = 0.01;
+
+/**
+ * Fades and ducks the volume of a CiderWS instance.
+ * Only one fade runs at a time: starting a new one, calling `cancel()`, `setVolume()` or `mute()` or somebody changing the volume in Cider stops the current one.
+ *
+ * @class Fader
+ * @param {CiderWS} cider The instance to control
+ */
+class Fader {
+  constructor(cider) {
+    this.cider = cider;
+    this.fade;
+    this.hold;
+    this.sent = [];
+    this.ducked;
+    // counts up with every cancel, see fadeTo()
+    this.generation = 0;
+
+    cider.internal.on("volumeChange", (volume) => { this.checkVolume(volume); });
+  }
+
+  /**
+   * Fades the volume from the current level to the target
+   * @async
+   * @param {number} target The volume to fade to (0-1)
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] "linear", "ease-in", "ease-out", "ease-in-out" or a function mapping 0-1 to 0-1
+   * @returns {Promise<boolean>} true once the target is reached, false if the fade was cancelled
+   */
+  async fadeTo(target, duration = 1000, curve = "linear") {
+    this.cider.connectionCheck();
+
+    this.cider.paramCheck(target, "target", "number", 0, 1);
+    let ease = this.prepare(duration, curve);
+
+    // cancelling starts a new generation, so a fade replaced while waiting for the volume knows it
+    this.cancel();
+    let generation = this.generation;
+    let from = (await this.cider.getStates()).volume;
+    if (generation !== this.generation) return false;
+    return this.run(from, target, duration, ease);
+  }
+
+  /**
+   * Fades out, pauses and puts the volume back to where it was, so the next play isn't silent
+   * @async
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] See {@link Fader#fadeTo}
+   * @returns {Promise<boolean>} true once paused, false if the fade was cancelled (nothing is paused then)
+   */
+  async fadeOut(duration = 1000, curve = "linear") {
+    this.cider.connectionCheck();
+
+    let ease = this.prepare(duration, curve);
+
+    this.cancel();
+    let generation = this.generation;
+    let volume = (await this.cider.getStates()).volume;
+    if (generation !== this.generation || !await this.run(volume, 0, duration, ease)) return false;
+
+    this.cider.command("pause");
+    this.setVolume(volume);
+    return true;
+  }
+
+  /**
+   * Starts playing silently and fades in to the current volume
+   * @async
+   * @param {number} [duration = 1000] The duration of the fade in milliseconds
+   * @param {string | function} [curve = "linear"] See {@link Fader#fadeTo}
+   * @returns {Promise<boolean>} true once the volume is back, false if the fade was cancelled
+   */
+  async fadeIn(duration = 1000, curve = "linear") {
+    this.cider.connectionCheck();
+
+    let ease = this.prepare(duration, curve);
+
+    this.cancel();
+    let generation = this.generation;
+    let volume = (await this.cider.getStates()).volume;
+    if (generation !== this.generation) return false;
+
+    // the known states still have the old volume, so this starts at 0 itself
+    this.setVolume(0);
+    this.cider.command("play");
+    return this.run(0, volume, duration, ease);
+  }
+
+  /**
+   * Lowers the volume for a while and brings it back afterwards, e.g. for announcements.
+   * Ducking again while ducked still restores the volume from before the first duck.
+   * @async
+   * @param {number} level The volume while ducked (0-1)
+   * @param {number} duration How long to stay ducked in milliseconds
+   * @param {number} [fade = 300] The duration of the fades down and up in milliseconds
+   * @returns {Promise<boolean>} true once the volume is restored, false if it was cancelled (the volume is left alone then)
+   */
+  async duck(level, duration, fade = 300) {
+    this.cider.connectionCheck();
+
+    this.cider.paramCheck(level, "level", "number", 0, 1);
+    this.cider.paramCheck(duration, "duration", "number", 0, Infinity);
+    this.cider.paramCheck(fade, "fade", "number", 0, Infinity);
+    let ease = FADE_CURVES.linear;
+
+    this.cancel();
+    let generation = this.generation;
+    // taken right away, the duck this one replaces is still known here
+    let duck = { restore: this.ducked ? this.ducked.restore : undefined };
+    this.ducked = duck;
+
+    let from = (await this.cider.getStates()).volume;
+    if (duck.restore === undefined) duck.restore = from;
+    let done = generation === this.generation
+      && await this.run(from, level, fade, ease)
+      && await this.wait(duration)
+      && await this.run(level, duck.restore, fade, ease);
+
+    if (this.ducked === duck) this.ducked = undefined;
+    return done;
+  }
+
+  /**
+   * Stops the current fade or duck, leaving the volume where it is
+   */
+  cancel() {
+    this.generation++;
+    if (this.fade) this.finish(this.fade, false);
+    if (this.hold) {
+      clearTimeout(this.hold.timer);
+      this.hold.resolve(false);
+      this.hold = undefined;
+    }
+  }
+
+  /**
+   * Checks what every fade needs
+   * @private
+   * @returns {function} The curve
+   */
+  prepare(duration, curve) {
+    this.cider.paramCheck(duration, "duration", "number", 0, Infinity);
+    let ease = typeof (curve) === "function" ? curve : FADE_CURVES[curve];
+    if (!ease) throw new ParameterValueError("curve", Object.keys(FADE_CURVES), curve);
+    return ease;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<boolean>} true after `duration`, false if cancelled before
+   */
+  wait(duration) {
+    return new Promise(resolve => {
+      this.hold = { resolve, timer: setTimeout(() => { this.hold = undefined; resolve(true); }, duration) };
+    });
+  }
+
+  /**
+   * @private
+   */
+  run(from, to, duration, ease) {
+    return new Promise(resolve => {
+      let started = Date.now();
+      let fade = { resolve };
+      const step = () => {
+        let t = duration > 0 ? Math.min(1, (Date.now() - started) / duration) : 1;
+        this.setVolume(from + (to - from) * ease(t));
+        if (t >= 1) this.finish(fade, true);
+      };
+
+      this.fade = fade;
+      fade.timer = setInterval(step, FADE_STEP);
+      step();
+    });
+  }
+
+  /**
+   * @private
+   */
+  finish(fade, completed) {
+    clearInterval(fade.timer);
+    if (this.fade === fade) this.fade = undefined;
+    fade.resolve(completed);
+  }
+
+  /**
+   * @private
+   */
+  setVolume(volume) {
+    volume = Math.min(1, Math.max(0, Math.round(volume * 1000) / 1000));
+    let now = Date.now();
+    this.sent = this.sent.filter(s => now - s.time < SENT_MEMORY);
+    this.sent.push({ volume, time: now });
+
+    try {
+      this.cider.connectionCheck();
+      // not setVolume(), that one cancels the fade
+      this.cider.sendVolume(volume);
+    } catch (error) {
+      this.cancel();
+      this.cider.handleError(error);
+    }
+  }
+
+  /**
+   * Cancels everything if the volume was changed in Cider.
+   * Changes through CiderWS cancel the fade right away, so this only has to tell Cider's echoes of our own steps apart from the rest.
+   * @private
+   */
+  checkVolume(volume) {
+    if (!this.fade && !this.hold) return;
+    let now = Date.now();
+    if (this.sent.some(s => now - s.time < SENT_MEMORY && Math.abs(s.volume - volume) <= TOLERANCE)) return;
+    this.cancel();
+  }
+}
+
+module.exports = { Fader, FADE_CURVES };
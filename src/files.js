@@ -0,0 +1,18 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes a file by writing a temporary file next to it and renaming it, so readers (and a crash) never leave half a file behind
+ * @param {string} file
+ * @param {string | Buffer} data
+ * @returns {Promise<void>}
+ */
+async function writeAtomic(file, data) {
+  let temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  await fs.promises.writeFile(temp, data);
+  await fs.promises.rename(temp, file);
+}
+
+module.exports = { writeAtomic };
@@ -0,0 +1,288 @@
+"use strict";
+
+/**
+ * Keeps the lyrics of the current song in sync with the playback and emits `lyricsLine` on the CiderWS instance whenever the active line changes.
+ * Lyrics are only fetched while something listens for `lyricsLine` (new listeners are noticed with the next playbackUpdate)
+ * or once `currentLyric()` was called.
+ *
+ * The emitted object has the following properties:
+ * - `index` - The index of the active line (-1 if no line is active, e.g. during an instrumental part or when there are no lyrics)
+ * - `line` - The active line, or null
+ * - `translation` - The translation of the active line (empty if there is none)
+ * - `startTime` / `endTime` - When the active line starts and ends, in seconds
+ * - `next` - The upcoming line object (`{ startTime, endTime, line, translation }`), or null
+ *
+ * @class LyricsTracker
+ * @param {CiderWS} cider The instance to track
+ */
+class LyricsTracker {
+  constructor(cider) {
+    this.cider = cider;
+    this.lines = [];
+    this.songId;
+    this.elapsed = 0;
+    this.index = -1;
+    this.active = false;
+    this.requested = false;
+
+    // the clock keeps moving between the updates from Cider, so lines change right on time
+    this.onTick = (position) => { this.update(position / 1000); };
+
+    cider.internal.on("songUpdate", (song) => {
+      if (this.active) this.load(song);
+    });
+    cider.internal.on("playbackUpdate", () => { this.sync(); });
+  }
+
+  /**
+   * Starts or stops tracking, depending on whether anybody listens for `lyricsLine` or asked for the current line
+   * @private
+   */
+  sync() {
+    let wanted = this.requested || this.cider.listenerCount("lyricsLine") > 0;
+    if (wanted && !this.active) this.start();
+    else if (!wanted && this.active) this.stop();
+  }
+
+  /**
+   * Keeps tracking from now on, even without `lyricsLine` listeners
+   */
+  track() {
+    this.requested = true;
+    this.sync();
+  }
+
+  /**
+   * @private
+   */
+  start() {
+    this.active = true;
+    this.cider.internal.on("tick", this.onTick);
+    if (this.cider.currentSong) this.load(this.cider.currentSong);
+  }
+
+  /**
+   * @private
+   */
+  stop() {
+    this.active = false;
+    this.cider.internal.removeListener("tick", this.onTick);
+    this.lines = [];
+    this.songId = undefined;
+    this.index = -1;
+  }
+
+  /**
+   * Fetches the lyrics of a new song
+   * @private
+   * @param {Song} song
+   */
+  async load(song) {
+    this.songId = song.id;
+    this.lines = [];
+    this.elapsed = 0;
+    this.setIndex(-1);
+
+    let lines;
+    try {
+      lines = await this.cider.getLyricsAdvanced();
+    } catch (error) {
+      // no lyrics is better than no music, so this doesn't get any louder than an error event
+      this.cider.handleError(error);
+      return;
+    }
+
+    // the song changed while we were waiting
+    if (this.songId !== song.id) return;
+    this.lines = cleanLyrics(lines);
+    // always emitted once the lyrics are there, so listeners know the first line coming up
+    this.index = null;
+    this.update(this.elapsed);
+  }
+
+  /**
+   * @private
+   * @param {number} elapsed The elapsed time of the song in seconds
+   */
+  update(elapsed) {
+    this.elapsed = elapsed;
+    // searched from scratch every time, so seeking just works
+    this.setIndex(this.lines.findIndex(l => elapsed >= l.startTime && elapsed < l.endTime));
+  }
+
+  /**
+   * @private
+   */
+  setIndex(index) {
+    if (index === this.index) return;
+    this.index = index;
+    if (this.active) this.cider.emit("lyricsLine", this.current());
+  }
+
+  /**
+   * @returns {object} The active line (see the class description)
+   */
+  current() {
+    let line = this.lines[this.index];
+    let next = line ? this.lines[this.index + 1] : this.lines.find(l => l.startTime > this.elapsed);
+
+    return {
+      index: this.index,
+      line: line ? line.line : null,
+      translation: line ? line.translation : "",
+      startTime: line ? line.startTime : null,
+      endTime: line ? line.endTime : null,
+      next: next || null,
+    };
+  }
+}
+
+/**
+ * Removes Cider's internal marker lines and empty lines
+ * @param {object[]} lines The lyrics like `getLyricsAdvanced()` returns them
+ * @returns {object[]}
+ */
+function cleanLyrics(lines) {
+  return (lines || []).filter(l => {
+    let line = (l.line || "").trim();
+    return line !== "" && !line.startsWith("lrc");
+  });
+}
+
+/**
+ * Pads a number with zeros
+ * @private
+ */
+function pad(number, length = 2) {
+  return String(number).padStart(length, "0");
+}
+
+/**
+ * Formats seconds as [mm:ss.xx]
+ * @private
+ */
+function lrcTime(seconds) {
+  let centis = Math.round(seconds * 100);
+  return `[${pad(Math.floor(centis / 6000))}:${pad(Math.floor(centis / 100) % 60)}.${pad(centis % 100)}]`;
+}
+
+/**
+ * Formats seconds as hh:mm:ss followed by the milliseconds
+ * @private
+ */
+function cueTime(seconds, separator) {
+  let millis = Math.round(seconds * 1000);
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Picks the text of a cue depending on the translation option
+ * @private
+ */
+function cueText(l, translation) {
+  if (translation === "only") return l.translation || l.line;
+  if (translation && l.translation) return `${l.line}\n${l.translation}`;
+  return l.line;
+}
+
+/**
+ * Converts lyrics to the LRC format.  
+ * Translations are written as a second line with the same timestamp, which is what most players expect.
+ * @param {object[]} lines The lyrics like `getLyricsAdvanced()` returns them
+ * @param {object} [options]
+ * @param {boolean | string} [options.translation = false] true to include translations, "only" for a translation track
+ * @param {Song} [options.song] Adds title, artist, album and length tags
+ * @returns {string}
+ */
+function toLRC(lines, options = {}) {
+  lines = cleanLyrics(lines);
+  let out = [];
+
+  if (options.song) {
+    let song = options.song;
+    out.push(`[ti:${song.title}]`, `[ar:${song.artist}]`, `[al:${song.album}]`);
+    if (song.duration) out.push(`[length:${lrcTime(song.duration / 1000).slice(1, -4)}]`);
+  }
+
+  lines.forEach((l, i) => {
+    if (options.translation === "only") {
+      out.push(lrcTime(l.startTime) + (l.translation || l.line));
+    } else {
+      out.push(lrcTime(l.startTime) + l.line);
+      if (options.translation && l.translation) out.push(lrcTime(l.startTime) + l.translation);
+    }
+
+    // LRC has no end times, an empty line marks a pause before the next one
+    let next = lines[i + 1];
+    if (!next || next.startTime > l.endTime) out.push(lrcTime(l.endTime));
+  });
+
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Converts lyrics to the SubRip (SRT) format
+ * @param {object[]} lines The lyrics like `getLyricsAdvanced()` returns them
+ * @param {object} [options]
+ * @param {boolean | string} [options.translation = false] true to include translations, "only" for a translation track
+ * @returns {string}
+ */
+function toSRT(lines, options = {}) {
+  return cleanLyrics(lines).map((l, i) =>
+    `${i + 1}\n${cueTime(l.startTime, ",")} --> ${cueTime(l.endTime, ",")}\n${cueText(l, options.translation)}\n`
+  ).join("\n");
+}
+
+/**
+ * Converts lyrics to the WebVTT format
+ * @param {object[]} lines The lyrics like `getLyricsAdvanced()` returns them
+ * @param {object} [options]
+ * @param {boolean | string} [options.translation = false] true to include translations, "only" for a translation track
+ * @returns {string}
+ */
+function toVTT(lines, options = {}) {
+  let cues = cleanLyrics(lines).map(l =>
+    `${cueTime(l.startTime, ".")} --> ${cueTime(l.endTime, ".")}\n${cueText(l, options.translation)}\n`
+  );
+  return ["WEBVTT\n"].concat(cues).join("\n");
+}
+
+/**
+ * Parses LRC lyrics into the structure `getLyricsAdvanced()` returns.  
+ * A second line with the same timestamp is read as the translation and an empty line as the end of the line before it.
+ * Lines without an end get the start of the next line (or +5 seconds for the very last one).
+ * @param {string} text The LRC lyrics
+ * @returns {object[]}
+ */
+function parseLRC(text) {
+  let entries = [];
+  for (let raw of text.split(/\r?\n/)) {
+    let stamps = [];
+    let match;
+    while ((match = /^\[(\d+):(\d+(?:\.\d+)?)\]/.exec(raw))) {
+      stamps.push(parseInt(match[1]) * 60 + parseFloat(match[2]));
+      raw = raw.slice(match[0].length);
+    }
+    for (let time of stamps) entries.push({ time: time, text: raw.trim() });
+  }
+  entries.sort((a, b) => a.time - b.time);
+
+  let lines = [];
+  for (let e of entries) {
+    let last = lines[lines.length - 1];
+    if (e.text === "") {
+      if (last && last.endTime === undefined) last.endTime = e.time;
+    } else if (last && last.startTime === e.time && last.translation === "") {
+      last.translation = e.text;
+    } else {
+      if (last && last.endTime === undefined) last.endTime = e.time;
+      lines.push({ startTime: e.time, endTime: undefined, line: e.text, translation: "" });
+    }
+  }
+
+  let last = lines[lines.length - 1];
+  if (last && last.endTime === undefined) last.endTime = last.startTime + 5;
+  return lines;
+}
+
+module.exports = { LyricsTracker, cleanLyrics, toLRC, toSRT, toVTT, parseLRC };
@@ -0,0 +1,422 @@
+"use strict";
+
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Builds the attributes Cider 1 sends for a media item
+ * @private
+ */
+function mockSong(id, name, artistName, albumName, durationInMillis, genreNames) {
+  return {
+    name: name,
+    artistName: artistName,
+    albumName: albumName,
+    artwork: { url: `https://is1-ssl.mzstatic.com/image/thumb/${id}/{w}x{h}bb.jpg`, width: 600, height: 600 },
+    trackNumber: 1,
+    url: { appleMusic: `https://music.apple.com/us/album/${id}?i=${id}` },
+    songId: id,
+    playParams: { id: id, kind: "song" },
+    durationInMillis: durationInMillis,
+    genreNames: genreNames,
+  };
+}
+
+const defaultSongs = [
+  mockSong("1558533900", "Never Gonna Give You Up", "Rick Astley", "Whenever You Need Somebody", 213573, ["Pop", "Music"]),
+  mockSong("1440841450", "Take On Me", "a-ha", "Hunting High and Low", 225280, ["Pop", "Music"]),
+  mockSong("1452859412", "Africa", "TOTO", "Toto IV", 295893, ["Rock", "Music"]),
+  mockSong("1443153286", "Don't Stop Me Now", "Queen", "Jazz", 209413, ["Rock", "Music"]),
+];
+
+const defaultLyrics = [
+  { startTime: 0, endTime: 0, line: "lrc", translation: "" },
+  { startTime: 18.5, endTime: 22.1, line: "We're no strangers to love", translation: "" },
+  { startTime: 22.1, endTime: 26.3, line: "You know the rules and so do I", translation: "" },
+  { startTime: 43.1, endTime: 45.3, line: "Never gonna give you up", translation: "" },
+  { startTime: 45.3, endTime: 47.4, line: "Never gonna let you down", translation: "" },
+];
+
+/**
+ * A fake Cider instance speaking the legacy WebSocket API, so CiderWS can be used without Cider running.
+ * It keeps an in-memory player (queue, playback position, volume, modes) and can be told to misbehave.
+ *
+ * Emits `listening`, `connection` (the client socket), `action` (every parsed message received) and `close`.
+ *
+ * @class MockCiderServer
+ * @extends EventEmitter
+ * @param {object} [options]
+ * @param {number} [options.port = 26369] The port to listen on
+ * @param {number} [options.tickInterval = 500] How often a playbackStateUpdate is sent while playing, in milliseconds
+ * @param {object[]} [options.queue] Song attributes (like Cider sends them) to fill the queue with
+ * @param {object[]} [options.catalog] Song attributes that can be found by searching (defaults to the queue)
+ * @param {object} [options.lyrics] Lyrics by song ID (every song gets some default lyrics otherwise)
+ * @param {number} [options.replyDelay = 0] Delay before answering requests, in milliseconds
+ * @param {string[]} [options.unknownActions] Actions to always answer with "Action not found", like a Cider version that doesn't have them.
+ * The mock knows `queue-remove` and `queue-clear` for example, but Cider 1 doesn't: use `["queue-remove", "queue-clear"]` to get the real thing.
+ */
+class MockCiderServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = Object.assign({
+      port: 26369,
+      tickInterval: 500,
+      queue: defaultSongs,
+      catalog: undefined,
+      lyrics: {},
+      replyDelay: 0,
+      unknownActions: [],
+    }, options);
+
+    this.queue = this.options.queue.slice();
+    this.catalog = (this.options.catalog || this.options.queue).slice();
+    this.position = 0;
+    this.elapsed = 0;
+    this.isPlaying = false;
+    this.volume = 1;
+    this.mutedVolume;
+    this.shuffleMode = 0;
+    this.repeatMode = 0;
+    this.autoplay = false;
+
+    this.failing = {};
+    this.ignoring = {};
+    this.server;
+    this.ticker;
+    this.lastTick;
+  }
+
+  /**
+   * Starts listening
+   * @async
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      let server = new WebSocketServer({ port: this.options.port });
+      this.server = server;
+      let failed = (error) => {
+        // e.g. EADDRINUSE, there's nothing to stop later
+        if (this.server === server) this.server = undefined;
+        reject(error);
+      };
+      server.once("error", failed);
+      server.once("listening", () => {
+        server.removeListener("error", failed);
+        // only tick once listening, a server that failed to start shouldn't keep the process alive
+        this.lastTick = Date.now();
+        this.ticker = setInterval(() => { this.tick(); }, this.options.tickInterval);
+        this.emit("listening");
+        resolve();
+      });
+      server.on("connection", (socket) => {
+        socket.on("message", (raw) => { this.handleAction(socket, JSON.parse(raw)); });
+        this.emit("connection", socket);
+      });
+    });
+  }
+
+  /**
+   * Disconnects all clients and stops listening
+   * @async
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.ticker);
+    if (!this.server) return Promise.resolve();
+
+    this.dropConnections();
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = undefined;
+        this.emit("close");
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * The song currently playing
+   * @type {object}
+   */
+  get current() {
+    return this.queue[this.position];
+  }
+
+  /**
+   * Kills every client connection without a proper close handshake, like a crashing Cider would
+   */
+  dropConnections() {
+    for (let client of this.server.clients) client.terminate();
+  }
+
+  /**
+   * Answers the next request for `action` with "Action not found"
+   * @param {string} action
+   */
+  failNext(action) {
+    this.failing[action] = true;
+  }
+
+  /**
+   * Doesn't answer the next request for `action` at all
+   * @param {string} action
+   */
+  ignoreNext(action) {
+    this.ignoring[action] = true;
+  }
+
+  /**
+   * Sends a raw message to every client
+   * @param {object} message
+   */
+  broadcast(message) {
+    let raw = JSON.stringify(message);
+    for (let client of this.server.clients) {
+      if (client.readyState === 1) client.send(raw);
+    }
+  }
+
+  /**
+   * Sends the current playback state to every client
+   */
+  sendState() {
+    if (this.current) this.broadcast(this.playbackState());
+  }
+
+  /**
+   * @private
+   */
+  playbackState() {
+    let song = this.current;
+    let remaining = song.durationInMillis - this.elapsed;
+
+    return {
+      type: "playbackStateUpdate",
+      data: Object.assign({}, song, {
+        status: this.isPlaying,
+        shuffleMode: this.shuffleMode,
+        repeatMode: this.repeatMode,
+        volume: this.volume,
+        autoplayEnabled: this.autoplay,
+        remainingTime: remaining,
+        currentPlaybackProgress: this.elapsed / song.durationInMillis,
+        startTime: Date.now() - this.elapsed,
+        endTime: Date.now() + remaining,
+      }),
+    };
+  }
+
+  /**
+   * @private
+   */
+  tick() {
+    let now = Date.now();
+    let passed = now - this.lastTick;
+    this.lastTick = now;
+    if (!this.isPlaying || !this.current) return;
+
+    this.elapsed += passed;
+    if (this.elapsed >= this.current.durationInMillis) {
+      if (this.repeatMode === 1) this.elapsed = 0;
+      else this.skip(1);
+    }
+    this.sendState();
+  }
+
+  /**
+   * @private
+   */
+  skip(by) {
+    let next = this.position + by;
+    if (next >= this.queue.length) {
+      if (this.repeatMode !== 2) {
+        this.isPlaying = false;
+        this.elapsed = this.current ? this.current.durationInMillis : 0;
+        return;
+      }
+      next = 0;
+    }
+    this.position = Math.max(0, next);
+    this.elapsed = 0;
+  }
+
+  /**
+   * @private
+   */
+  reply(socket, message) {
+    setTimeout(() => {
+      if (socket.readyState === 1) socket.send(JSON.stringify(message));
+    }, this.options.replyDelay);
+  }
+
+  /**
+   * @private
+   */
+  findSong(id) {
+    return this.catalog.concat(this.queue).find(s => s.songId === id);
+  }
+
+  /**
+   * @private
+   */
+  handleAction(socket, d) {
+    this.emit("action", d);
+
+    if (this.ignoring[d.action]) {
+      delete this.ignoring[d.action];
+      return;
+    }
+    if (this.failing[d.action] || this.options.unknownActions.includes(d.action)) {
+      delete this.failing[d.action];
+      return this.reply(socket, { type: "generic", message: "Action not found" });
+    }
+
+    switch (d.action) {
+      default:
+        return this.reply(socket, { type: "generic", message: "Action not found" });
+
+      case "identify":
+        return this.reply(socket, { type: "generic", message: "Thanks for identifying!" });
+      case "quit":
+        return this.dropConnections();
+
+      case "play":
+        this.isPlaying = true;
+        break;
+      case "pause":
+        this.isPlaying = false;
+        break;
+      case "playpause":
+        this.isPlaying = !this.isPlaying;
+        break;
+      case "next":
+        this.skip(1);
+        break;
+      case "previous":
+        // like most players, previous restarts the song unless it just started
+        if (this.elapsed < 3000) this.skip(-1);
+        else this.elapsed = 0;
+        break;
+      case "seek":
+        this.elapsed = Math.min(d.data * 1000, this.current.durationInMillis);
+        break;
+      case "volume":
+        this.volume = d.volume;
+        break;
+      case "mute":
+        this.mutedVolume = this.volume;
+        this.volume = 0;
+        break;
+      case "unmute":
+        this.volume = this.mutedVolume || 1;
+        break;
+      case "repeat":
+        this.repeatMode = (this.repeatMode + 1) % 3;
+        break;
+      case "set-repeat":
+        this.repeatMode = d.repeat;
+        break;
+      case "shuffle":
+        this.shuffleMode = this.shuffleMode ? 0 : 1;
+        break;
+      case "set-shuffle":
+        this.shuffleMode = d.shuffle;
+        break;
+      case "set-autoplay":
+        this.autoplay = d.autoplay;
+        break;
+      case "get-currentmediaitem":
+        if (this.current) this.reply(socket, this.playbackState());
+        return;
+
+      case "get-queue":
+        return this.reply(socket, {
+          type: "queue",
+          data: {
+            _queueItems: this.queue.map(s => ({ item: { id: s.songId, type: "song", attributes: s } })),
+            _position: this.position,
+            _nextPlayableItemIndex: this.position + 1,
+            _isRestricted: false,
+            hasAutoplayStation: this.autoplay,
+          },
+        });
+      case "queue-move": {
+        let current = this.current;
+        let [song] = this.queue.splice(d.from, 1);
+        if (song) this.queue.splice(d.to, 0, song);
+        this.position = this.queue.indexOf(current);
+        return;
+      }
+      case "queue-remove": {
+        let current = this.current;
+        if (d.index === this.position) return;
+        this.queue.splice(d.index, 1);
+        this.position = this.queue.indexOf(current);
+        return;
+      }
+      case "queue-clear":
+        this.queue.splice(this.position + 1);
+        return;
+      case "play-mediaitem": {
+        let song = this.findSong(d.id);
+        if (!song) return;
+        this.queue.splice(this.position + 1, 0, song);
+        this.skip(1);
+        this.isPlaying = true;
+        break;
+      }
+      case "play-next":
+      case "play-later": {
+        let song = this.findSong(d.id);
+        if (!song) return;
+        if (d.action === "play-next") this.queue.splice(this.position + 1, 0, song);
+        else this.queue.push(song);
+        return;
+      }
+
+      case "get-lyrics":
+        return this.reply(socket, {
+          type: "lyrics",
+          data: this.current ? (this.options.lyrics[this.current.songId] || defaultLyrics) : [],
+        });
+      case "search": {
+        let term = String(d.term).toLowerCase();
+        let offset = d.offset || 0;
+        let types = d.types ? d.types.split(",") : ["songs", "albums", "artists", "playlists"];
+        let songs = this.catalog.filter(s => s.name.toLowerCase().includes(term) || s.artistName.toLowerCase().includes(term));
+        let matches = (resources) => resources.filter(r => r.attributes.name.toLowerCase().includes(term));
+
+        let all = {
+          songs: songs.map(s => ({ id: s.songId, type: "songs", attributes: s })),
+          albums: matches(this.catalog.map(s => ({
+            id: `a${s.songId}`,
+            type: "albums",
+            attributes: { name: s.albumName, artistName: s.artistName, artwork: s.artwork, trackCount: 10, genreNames: s.genreNames, playParams: { id: `a${s.songId}`, kind: "album" } },
+          }))),
+          artists: matches(this.catalog.map(s => ({
+            id: `r${s.songId}`,
+            type: "artists",
+            attributes: { name: s.artistName, genreNames: s.genreNames },
+          }))),
+          playlists: matches([{
+            id: "pl.mock",
+            type: "playlists",
+            attributes: { name: "Mock Mix", curatorName: "CiderWS", description: { standard: "Everything the mock server knows" }, playParams: { id: "pl.mock", kind: "playlist" } },
+          }]),
+        };
+
+        let results = {};
+        for (let type of types) {
+          if (all[type]) results[type] = { data: all[type].slice(offset, offset + d.limit) };
+        }
+        return this.reply(socket, { type: "searchResults", data: results });
+      }
+    }
+
+    // every change is pushed right away, just like Cider does
+    this.sendState();
+  }
+}
+
+module.exports = { MockCiderServer, mockSong, defaultSongs, defaultLyrics };
@@ -0,0 +1,283 @@
+"use strict";
+
+const http = require('http');
+const https = require('https');
+
+const { ParameterValueError } = require("./errors.js");
+const { writeAtomic } = require("./files.js");
+
+const REPEAT_MODES = ["off", "one", "all"];
+
+/**
+ * Formats milliseconds as m:ss (or h:mm:ss)
+ * @private
+ */
+function formatTime(ms) {
+  if (typeof (ms) !== "number" || isNaN(ms)) return "";
+  let seconds = Math.max(0, Math.round(ms / 1000));
+  let minutes = Math.floor(seconds / 60);
+  let rest = String(seconds % 60).padStart(2, "0");
+  if (minutes >= 60) return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}:${rest}`;
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * The fields a template can use, each gets `{ song, states, playback, position }`
+ */
+const TEMPLATE_FIELDS = {
+  title: (c) => c.song && c.song.title,
+  artist: (c) => c.song && c.song.artist,
+  album: (c) => c.song && c.song.album,
+  genre: (c) => c.song && c.song.genre && c.song.genre.filter(g => g !== "Music").join(", "),
+  id: (c) => c.song && c.song.id,
+  url: (c) => c.song && c.song.url,
+  artwork: (c) => c.song && c.song.artwork,
+  trackNumber: (c) => c.song && c.song.trackNumber,
+  duration: (c) => c.song && formatTime(c.song.duration),
+  durationMs: (c) => c.song && c.song.duration,
+  elapsed: (c) => formatTime(elapsedOf(c)),
+  elapsedMs: (c) => elapsedOf(c),
+  remaining: (c) => c.song && formatTime(c.song.duration - elapsedOf(c)),
+  progress: (c) => c.song && c.song.duration > 0 && elapsedOf(c) !== undefined ? Math.round(elapsedOf(c) / c.song.duration * 100) : undefined,
+  status: (c) => isPlaying(c) === undefined ? undefined : (isPlaying(c) ? "playing" : "paused"),
+  volume: (c) => c.states && Math.round(c.states.volume * 100),
+  shuffle: (c) => c.states && (c.states.isShuffling ? "on" : "off"),
+  repeat: (c) => c.states && REPEAT_MODES[c.states.repeatMode],
+  autoplay: (c) => c.states && (c.states.autoplay ? "on" : "off"),
+};
+
+/**
+ * @private
+ */
+function elapsedOf(c) {
+  if (typeof (c.position) === "number") return c.position;
+  return c.playback ? c.playback.elapsedTime : undefined;
+}
+
+/**
+ * @private
+ */
+function isPlaying(c) {
+  if (c.playback) return c.playback.isPlaying;
+  return c.states ? c.states.isPlaying : undefined;
+}
+
+/**
+ * The filters a template can use, written as `{field|filter:argument}`
+ */
+const TEMPLATE_FILTERS = {
+  // {title|default:Nothing playing} - used when the value is empty
+  default: (value, fallback = "") => value === "" ? fallback : value,
+  // {title|truncate:20} - cuts it to 20 characters, including the "…"
+  truncate: (value, length, ellipsis = "…") => {
+    length = parseInt(length);
+    if (value.length <= length) return value;
+    return value.slice(0, Math.max(0, length - ellipsis.length)) + ellipsis;
+  },
+  // {title|pad:20} - fills it up with spaces to 20 characters (or another character: pad:20:.)
+  pad: (value, length, char = " ") => value.padEnd(parseInt(length), char),
+  // {volume|padStart:3} - same, but on the left
+  padStart: (value, length, char = " ") => value.padStart(parseInt(length), char),
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+};
+
+// the filters that need a length as their first argument
+const LENGTH_FILTERS = ["truncate", "pad", "padStart"];
+
+/**
+ * Turns a template like `{artist} - {title} [{elapsed}/{duration}]` into a function that fills it in.
+ * Filters are chained with `|` and take arguments after `:`, e.g. `{album|default:Unknown album|truncate:30}`.
+ * Use `{{` and `}}` for literal braces.
+ * @param {string} template
+ * @returns {function} Takes `{ song, states, playback, position }` and returns the text
+ */
+function compileTemplate(template) {
+  let parts = [];
+  let pattern = /\{\{|\}\}|\{([^{}]+)\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(template))) {
+    parts.push(template.slice(last, match.index));
+    last = pattern.lastIndex;
+    if (match[0] === "{{") parts.push("{");
+    else if (match[0] === "}}") parts.push("}");
+    else parts.push(compilePlaceholder(match[1]));
+  }
+  parts.push(template.slice(last));
+
+  return (context = {}) => parts.map(p => typeof (p) === "function" ? p(context) : p).join("");
+}
+
+/**
+ * @private
+ */
+function compilePlaceholder(placeholder) {
+  let [name, ...filters] = placeholder.split("|");
+  name = name.trim();
+  let field = TEMPLATE_FIELDS[name];
+  if (!field) throw new ParameterValueError("template field", Object.keys(TEMPLATE_FIELDS), name);
+
+  filters = filters.map(f => {
+    let [filterName, ...args] = f.split(":");
+    filterName = filterName.trim();
+    let filter = TEMPLATE_FILTERS[filterName];
+    if (!filter) throw new ParameterValueError("template filter", Object.keys(TEMPLATE_FILTERS), filterName);
+    // a missing or broken length would make the filter do nothing at all
+    if (LENGTH_FILTERS.includes(filterName) && !/^\s*\d+\s*$/.test(args[0] || "")) {
+      throw new ParameterValueError(`length of the ${filterName} filter`, ["a whole number"], args[0]);
+    }
+    return (value) => filter(value, ...args);
+  });
+
+  return (context) => {
+    let value = field(context);
+    value = value === undefined || value === null ? "" : String(value);
+    for (let filter of filters) value = filter(value);
+    return value;
+  };
+}
+
+/**
+ * Fills in a template once (see {@link compileTemplate})
+ * @param {string} template
+ * @param {object} context `{ song, states, playback, position }`, everything optional
+ * @returns {string}
+ */
+function formatTemplate(template, context) {
+  return compileTemplate(template)(context);
+}
+
+/**
+ * @private
+ */
+function download(url, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    let client = url.startsWith("https:") ? https : http;
+    client.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        return resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Downloading ${url} failed with status ${res.statusCode}`));
+      }
+      let chunks = [];
+      res.on("data", (chunk) => { chunks.push(chunk); });
+      res.on("end", () => { resolve(Buffer.concat(chunks)); });
+      res.on("error", reject);
+    }).on("error", reject);
+  });
+}
+
+/**
+ * Keeps text files (and optionally the album art) up to date with what Cider is playing, e.g. for OBS.
+ * Files are only written when their text changes, and always atomically.
+ *
+ * @class NowPlayingWriter
+ * @param {CiderWS} cider The instance to follow
+ * @param {object} options
+ * @param {object} options.files Templates by file path, e.g. `{ "./np.txt": "{artist} - {title}" }`
+ * @param {string} [options.artwork] Where to save the album art of the current song
+ * @param {string} [options.idle = ""] The text written to every file while nothing is playing (e.g. after closing)
+ */
+class NowPlayingWriter {
+  constructor(cider, options = {}) {
+    this.cider = cider;
+    this.options = Object.assign({
+      files: {},
+      artwork: undefined,
+      idle: "",
+    }, options);
+    this.templates = {};
+    for (let file in this.options.files) this.templates[file] = compileTemplate(this.options.files[file]);
+    this.written = {};
+    this.writing = {};
+    this.artworkUrl;
+
+    this.onSong = (song) => {
+      this.update();
+      this.saveArtwork(song);
+    };
+    this.onUpdate = () => { this.update(); };
+    this.onClose = () => { this.update(true); };
+    cider.on("songUpdate", this.onSong);
+    cider.on("statesUpdate", this.onUpdate);
+    cider.on("playbackUpdate", this.onUpdate);
+    cider.on("close", this.onClose);
+
+    if (cider.currentSong) this.onSong(cider.currentSong);
+  }
+
+  /**
+   * Stops updating the files (they keep their last text)
+   */
+  stop() {
+    this.cider.removeListener("songUpdate", this.onSong);
+    this.cider.removeListener("statesUpdate", this.onUpdate);
+    this.cider.removeListener("playbackUpdate", this.onUpdate);
+    this.cider.removeListener("close", this.onClose);
+  }
+
+  /**
+   * Writes all files that changed
+   * @private
+   * @param {boolean} [idle = false] Whether to write the idle text
+   */
+  update(idle = false) {
+    let context = {
+      song: this.cider.currentSong,
+      states: this.cider.states,
+      playback: this.cider.playback,
+      position: this.cider.playback ? this.cider.getPosition() : undefined,
+    };
+
+    for (let file in this.templates) {
+      let text = idle || !context.song ? this.options.idle : this.templates[file](context);
+      this.write(file, text);
+    }
+  }
+
+  /**
+   * Writes a file unless it already has the text, writes to the same file never overlap
+   * @private
+   */
+  write(file, text) {
+    if (this.written[file] === text) return;
+    this.written[file] = text;
+
+    let previous = this.writing[file] || Promise.resolve();
+    this.writing[file] = previous.then(() => {
+      // a newer text came in while waiting, that one gets written instead
+      if (this.written[file] !== text) return;
+      return writeAtomic(file, text);
+    }).catch(error => {
+      this.written[file] = undefined;
+      this.cider.handleError(error);
+    });
+  }
+
+  /**
+   * @private
+   * @param {Song} song
+   */
+  async saveArtwork(song) {
+    if (!this.options.artwork || !song.artwork || song.artwork === this.artworkUrl) return;
+    this.artworkUrl = song.artwork;
+
+    try {
+      let image = await download(song.artwork);
+      // the song changed while downloading
+      if (this.artworkUrl !== song.artwork) return;
+      await writeAtomic(this.options.artwork, image);
+    } catch (error) {
+      this.artworkUrl = undefined;
+      this.cider.handleError(error);
+    }
+  }
+}
+
+module.exports = { NowPlayingWriter, compileTemplate, formatTemplate, TEMPLATE_FIELDS, TEMPLATE_FILTERS };
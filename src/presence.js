@@ -0,0 +1,401 @@
+"use strict";
+
+const net = require('net');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * Base class for sending the activity somewhere (Discord, a status page, ...).
+ * Presence awaits every call, so a transport can be async. If one throws, there's no `update` event
+ * and the error goes to the CiderWS instance instead.
+ *
+ * @class PresenceTransport
+ */
+class PresenceTransport {
+  /**
+   * Called with the new activity
+   * @param {object} activity A Discord activity object
+   */
+  setActivity(activity) { }
+
+  /**
+   * Called when nothing is playing anymore
+   */
+  clearActivity() { }
+
+  /**
+   * Called when the presence is stopped
+   */
+  close() { }
+}
+
+/**
+ * Keeps the activities in memory instead of showing them, so you can check what Presence would have shown.
+ *
+ * @class StubTransport
+ * @extends PresenceTransport
+ * @var {object[]} activities The activities passed to setActivity()
+ * @var {number} cleared How often clearActivity() was called
+ */
+class StubTransport extends PresenceTransport {
+  constructor() {
+    super();
+    this.activities = [];
+    this.cleared = 0;
+  }
+
+  setActivity(activity) {
+    this.activities.push(activity);
+  }
+
+  clearActivity() {
+    this.cleared++;
+  }
+}
+
+/**
+ * Talks to the Discord desktop client over its local IPC socket (a named pipe on Windows).
+ * Connects on the first activity and again after the connection was lost.
+ *
+ * @class DiscordIPCTransport
+ * @extends PresenceTransport
+ * @param {string} clientId The ID of your Discord application
+ * @param {object} [options]
+ * @param {string} [options.path] The socket to connect to (default: the first `discord-ipc-<n>` that answers)
+ * @param {number} [options.timeout = 10000] How long to wait for Discord to answer in milliseconds
+ */
+class DiscordIPCTransport extends PresenceTransport {
+  constructor(clientId, options = {}) {
+    super();
+    this.clientId = clientId;
+    this.options = Object.assign({
+      path: undefined,
+      timeout: 10000,
+    }, options);
+    this.socket;
+    this.connecting;
+    this.buffer = Buffer.alloc(0);
+    this.pending = new Map();
+    this.nonce = 0;
+  }
+
+  /**
+   * @async
+   * @param {object} activity
+   */
+  setActivity(activity) {
+    return this.command("SET_ACTIVITY", { pid: process.pid, activity: activity });
+  }
+
+  /**
+   * @async
+   */
+  clearActivity() {
+    return this.command("SET_ACTIVITY", { pid: process.pid });
+  }
+
+  close() {
+    if (this.socket) this.socket.end(encode(2, {}));
+    this.socket = undefined;
+    this.connecting = undefined;
+  }
+
+  /**
+   * @private
+   */
+  async command(cmd, args) {
+    await this.connect();
+    let nonce = String(++this.nonce);
+
+    return new Promise((resolve, reject) => {
+      let timer = setTimeout(() => {
+        this.pending.delete(nonce);
+        reject(new Error(`Discord did not answer ${cmd} within ${this.options.timeout}ms`));
+      }, this.options.timeout);
+      this.pending.set(nonce, { resolve, reject, timer });
+      this.socket.write(encode(1, { cmd: cmd, args: args, nonce: nonce }));
+    });
+  }
+
+  /**
+   * Connects and does the handshake, parallel calls share the same attempt
+   * @private
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.open().catch(error => {
+        this.connecting = undefined;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * @private
+   */
+  async open() {
+    let paths = this.options.path ? [this.options.path] : ipcPaths();
+    let lastError;
+    for (let p of paths) {
+      try {
+        this.socket = await connectTo(p);
+        break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    if (!this.socket) throw lastError;
+
+    let socket = this.socket;
+    socket.on("data", (chunk) => { this.receive(chunk); });
+    socket.on("close", () => {
+      if (this.socket !== socket) return;
+      this.socket = undefined;
+      this.connecting = undefined;
+      this.buffer = Buffer.alloc(0);
+      for (let [, req] of this.pending) {
+        clearTimeout(req.timer);
+        req.reject(new Error("The connection to Discord was closed"));
+      }
+      this.pending.clear();
+    });
+    socket.on("error", () => { });
+
+    try {
+      await new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+          this.pending.delete("READY");
+          reject(new Error("Discord did not answer the handshake"));
+        }, this.options.timeout);
+        this.pending.set("READY", { resolve, reject, timer });
+        socket.write(encode(0, { v: 1, client_id: this.clientId }));
+      });
+    } catch (error) {
+      socket.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Reads all complete frames from the socket
+   * @private
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 8) {
+      let op = this.buffer.readInt32LE(0);
+      let length = this.buffer.readInt32LE(4);
+      if (this.buffer.length < 8 + length) return;
+
+      let message = JSON.parse(this.buffer.subarray(8, 8 + length).toString("utf8"));
+      this.buffer = this.buffer.subarray(8 + length);
+      // 2 = close, Discord tells why in the message
+      if (op === 2) {
+        this.socket.destroy(new Error(message.message));
+        continue;
+      }
+
+      let key = message.evt === "READY" ? "READY" : message.nonce;
+      let req = this.pending.get(key);
+      if (!req) continue;
+      this.pending.delete(key);
+      clearTimeout(req.timer);
+      if (message.evt === "ERROR") req.reject(new Error(message.data.message));
+      else req.resolve(message.data);
+    }
+  }
+}
+
+/**
+ * Builds an IPC frame: opcode and length (both int32 little endian) followed by the JSON
+ * @private
+ */
+function encode(op, data) {
+  let json = Buffer.from(JSON.stringify(data), "utf8");
+  let header = Buffer.alloc(8);
+  header.writeInt32LE(op, 0);
+  header.writeInt32LE(json.length, 4);
+  return Buffer.concat([header, json]);
+}
+
+/**
+ * The places Discord might listen on
+ * @private
+ */
+function ipcPaths() {
+  let paths = [];
+  for (let i = 0; i < 10; i++) {
+    if (process.platform === "win32") {
+      paths.push(`\\\\?\\pipe\\discord-ipc-${i}`);
+    } else {
+      let dir = process.env.XDG_RUNTIME_DIR || process.env.TMPDIR || process.env.TMP || process.env.TEMP || "/tmp";
+      paths.push(path.join(dir, `discord-ipc-${i}`));
+    }
+  }
+  return paths;
+}
+
+/**
+ * @private
+ */
+function connectTo(p) {
+  return new Promise((resolve, reject) => {
+    let socket = net.createConnection(p);
+    socket.once("connect", () => {
+      socket.removeListener("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * Discord wants strings of 2 to 128 characters
+ * @private
+ */
+function fit(text) {
+  text = String(text || "");
+  if (text.length > 128) text = text.slice(0, 127) + "…";
+  return text.padEnd(2, " ");
+}
+
+/**
+ * Shows what Cider is playing as a "Listening to" activity, like on Discord.
+ * Updates are throttled (Discord allows 5 every 20 seconds), only the latest activity is sent once the time is up,
+ * and nothing is sent if nothing changed.
+ *
+ * Emits `update` (the activity that was sent, or null when it was cleared).
+ *
+ * @class Presence
+ * @extends EventEmitter
+ * @param {CiderWS} cider The instance to follow
+ * @param {object} [options]
+ * @param {PresenceTransport} [options.transport] Where to send the activity (default: a StubTransport)
+ * @param {number} [options.throttle = 4000] The minimum time between two updates in milliseconds
+ * @param {boolean} [options.showPaused = true] Whether to keep showing the song while paused (it's cleared otherwise)
+ */
+class Presence extends EventEmitter {
+  constructor(cider, options = {}) {
+    super();
+    this.cider = cider;
+    this.options = Object.assign({
+      transport: new StubTransport(),
+      throttle: 4000,
+      showPaused: true,
+    }, options);
+    this.transport = this.options.transport;
+    this.activity = null;
+    this.lastUpdate = 0;
+    this.timer;
+    this.next;
+
+    this.onChange = () => { this.refresh(); };
+    cider.on("songUpdate", this.onChange);
+    cider.on("statesUpdate", this.onChange);
+    cider.on("playbackUpdate", this.onChange);
+
+    if (cider.currentSong) this.refresh();
+  }
+
+  /**
+   * Builds the activity for the current song. Override it to show something else.
+   * @param {Song} song
+   * @param {States} [states]
+   * @param {PlaybackData} [playback]
+   * @returns {object | null} A Discord activity, or null to clear it
+   */
+  buildActivity(song, states, playback) {
+    let isPlaying = playback ? playback.isPlaying : (states ? states.isPlaying : false);
+    if (!isPlaying && !this.options.showPaused) return null;
+
+    let activity = {
+      // 2 = "Listening to"
+      type: 2,
+      details: fit(song.title),
+      state: fit(`by ${song.artist}`),
+      assets: {
+        large_image: song.artwork || undefined,
+        large_text: fit(song.album),
+      },
+    };
+
+    if (isPlaying && playback) {
+      let start = Date.now() - playback.elapsedTime;
+      activity.timestamps = { start: start, end: start + song.duration };
+    } else if (!isPlaying) {
+      activity.assets.small_text = "Paused";
+    }
+    return activity;
+  }
+
+  /**
+   * Stops following CiderWS and clears the activity
+   * @async
+   */
+  async stop() {
+    this.cider.removeListener("songUpdate", this.onChange);
+    this.cider.removeListener("statesUpdate", this.onChange);
+    this.cider.removeListener("playbackUpdate", this.onChange);
+    clearTimeout(this.timer);
+    this.timer = undefined;
+
+    try {
+      await this.transport.clearActivity();
+      await this.transport.close();
+    } catch (error) {
+      this.cider.handleError(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  refresh() {
+    let song = this.cider.currentSong;
+    let activity = song && song.duration > 0 ? this.buildActivity(song, this.cider.states, this.cider.playback) : null;
+    if (this.sameActivity(activity, this.next !== undefined ? this.next : this.activity)) return;
+
+    this.next = activity;
+    if (this.timer) return;
+
+    let wait = this.lastUpdate + this.options.throttle - Date.now();
+    if (wait <= 0) return this.send();
+    this.timer = setTimeout(() => { this.send(); }, wait);
+  }
+
+  /**
+   * Whether two activities only differ by the usual clock jitter
+   * @private
+   */
+  sameActivity(a, b) {
+    if (!a || !b) return a === b;
+
+    let times = (x) => x.timestamps || {};
+    let strip = (x) => JSON.stringify(Object.assign({}, x, { timestamps: undefined }));
+    if (strip(a) !== strip(b)) return false;
+    return Math.abs((times(a).start || 0) - (times(b).start || 0)) <= this.cider.options.seekThreshold;
+  }
+
+  /**
+   * @private
+   */
+  async send() {
+    let activity = this.next;
+    this.next = undefined;
+    this.timer = undefined;
+    this.lastUpdate = Date.now();
+    if (activity === undefined) return;
+    this.activity = activity;
+
+    try {
+      if (activity) await this.transport.setActivity(activity);
+      else await this.transport.clearActivity();
+      this.emit("update", activity);
+    } catch (error) {
+      this.cider.handleError(error);
+    }
+  }
+}
+
+module.exports = { Presence, PresenceTransport, StubTransport, DiscordIPCTransport };
@@ -0,0 +1,550 @@
+"use strict";
+
+const http = require('http');
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const { io } = require('socket.io-client');
+
+const {
+  WebsocketConnectionError,
+  TimeoutError,
+  UnsupportedActionError,
+  CiderActionError,
+  PermissionDeniedError
+} = require("./errors.js");
+
+/**
+ * Base class for all protocol adapters.
+ * CiderWS always talks in the messages of the legacy WebSocket API (`{ action: ... }` out, `{ type, data }` in),
+ * an adapter translates them to whatever the Cider instance on the other end speaks.
+ *
+ * Adapters emit `message` (a legacy style message), `ready` (the connection can be used), `close` and `error` (a failed action that nobody waits for).
+ *
+ * @class Protocol
+ * @extends EventEmitter
+ * @param {string} host The host to connect to
+ * @param {number} port The port to connect to
+ * @param {object} options The options passed to CiderWS
+ */
+class Protocol extends EventEmitter {
+  constructor(host, port, options = {}) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.options = options;
+  }
+
+  /**
+   * The state of the connection, using the same values as `WebSocket.readyState` (0 = connecting, 1 = open, 2 = closing, 3 = closed)
+   * @type {number}
+   */
+  get readyState() {
+    return 3;
+  }
+
+  /**
+   * Opens the connection (ignored if it is already open)
+   */
+  open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * Closes the connection
+   */
+  close() {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+
+  /**
+   * Sends an action without waiting for an answer
+   * @param {object} payload The legacy style message
+   */
+  send(payload) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  /**
+   * Sends an action and waits for the answer
+   * @param {object} payload The legacy style message
+   * @param {string} replyType The type of the legacy message answering it
+   * @param {number} timeout How long to wait for the answer in milliseconds
+   * @returns {Promise<object>} The legacy style answer
+   */
+  request(payload, replyType, timeout) {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+}
+
+/**
+ * Talks to Cider 1 using its WebSocket API.
+ *
+ * @class LegacyProtocol
+ * @extends Protocol
+ */
+class LegacyProtocol extends Protocol {
+  constructor(host, port = LegacyProtocol.defaultPort, options) {
+    super(host, port, options);
+    this.socket;
+    this.pending = {};
+    this.lastAction;
+  }
+
+  get readyState() {
+    return this.socket ? this.socket.readyState : 3;
+  }
+
+  open() {
+    if (this.socket && this.socket.readyState != 3) return;
+
+    this.socket = new WebSocket(`ws://${this.host}:${this.port}`);
+
+    this.socket.onopen = () => {
+      this.socket.send(JSON.stringify({
+        action: "identify",
+        name: "CiderWS",
+        author: "ryzetech",
+        description: "A NodeJS WebSocket client for Cider",
+        version: "pre-alpha",
+        // Cider ignores it, a CiderRelay uses it for permissions
+        token: this.options.token,
+      }));
+    };
+    this.socket.onclose = (event) => {
+      this.rejectRequests(new WebsocketConnectionError(3));
+      this.emit("close", event);
+    };
+    this.socket.onmessage = (event) => { this.handleMessage(event); };
+    // onclose follows every error, so there is nothing to do here
+    this.socket.onerror = () => { };
+  }
+
+  close() {
+    if (this.socket) this.socket.close();
+  }
+
+  send(payload) {
+    this.lastAction = payload.action;
+    this.socket.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Cider doesn't tag its replies, so requests expecting the same reply type are sent one after another.
+   */
+  request(payload, replyType, timeout) {
+    return new Promise((resolve, reject) => {
+      if (!this.pending[replyType]) this.pending[replyType] = [];
+      this.pending[replyType].push({ payload, timeout, resolve, reject });
+      if (this.pending[replyType].length === 1) this.sendRequest(replyType);
+    });
+  }
+
+  /**
+   * @private
+   */
+  sendRequest(replyType) {
+    let req = this.pending[replyType][0];
+    if (!req) return;
+
+    req.timer = setTimeout(() => {
+      this.pending[replyType].shift();
+      req.reject(new TimeoutError(req.payload.action, req.timeout));
+      this.sendRequest(replyType);
+    }, req.timeout);
+    this.send(req.payload);
+  }
+
+  /**
+   * @private
+   */
+  resolveRequest(replyType, data) {
+    let queue = this.pending[replyType];
+    if (!queue || !queue.length) return;
+
+    let req = queue.shift();
+    clearTimeout(req.timer);
+    req.resolve(data);
+    this.sendRequest(replyType);
+  }
+
+  /**
+   * Cider only answers "Action not found" without telling which one, so it's blamed on the last action sent.
+   * @private
+   */
+  rejectAction(action, ErrorClass = CiderActionError) {
+    let error = new ErrorClass(action);
+    for (let type in this.pending) {
+      let req = this.pending[type][0];
+      if (!req || req.payload.action !== action) continue;
+
+      this.pending[type].shift();
+      clearTimeout(req.timer);
+      req.reject(error);
+      this.sendRequest(type);
+      return;
+    }
+    this.emit("error", error);
+  }
+
+  /**
+   * @private
+   */
+  rejectRequests(error) {
+    for (let type in this.pending) {
+      for (let req of this.pending[type]) {
+        clearTimeout(req.timer);
+        req.reject(error);
+      }
+    }
+    this.pending = {};
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(event) {
+    let d = JSON.parse(event.data);
+    this.emit("message", d);
+    this.resolveRequest(d.type, d);
+
+    if (d.type !== "generic") return;
+    if (d.message === "Thanks for identifying!") this.emit("ready");
+    else if (d.message === "Action not found") this.rejectAction(this.lastAction);
+    else if (d.message === "Permission denied") this.rejectAction(this.lastAction, PermissionDeniedError);
+  }
+}
+
+LegacyProtocol.defaultPort = 26369;
+
+/**
+ * Talks to Cider 2 using its RPC API: playback events come in via Socket.IO, actions are sent to the REST API.
+ * Everything is translated to the shape of the legacy messages, so the rest of CiderWS doesn't have to care.
+ *
+ * @class RPCProtocol
+ * @extends Protocol
+ */
+class RPCProtocol extends Protocol {
+  constructor(host, port = RPCProtocol.defaultPort, options) {
+    super(host, port, options);
+    this.socket;
+    this.status = 3;
+    this.state = {};
+    this.mutedVolume;
+    this.pending = new Set();
+  }
+
+  get readyState() {
+    return this.status;
+  }
+
+  open() {
+    if (this.status !== 3) return;
+
+    this.status = 0;
+    this.socket = io(`http://${this.host}:${this.port}`, { reconnection: false });
+
+    this.socket.on("connect", () => {
+      this.status = 1;
+      this.emit("ready");
+    });
+    this.socket.on("connect_error", (error) => { this.handleClose(error.message); });
+    this.socket.on("disconnect", (reason) => { this.handleClose(reason); });
+    this.socket.on("API:Playback", (message) => { this.handleMessage(message); });
+  }
+
+  close() {
+    if (this.socket) this.socket.disconnect();
+    this.handleClose("io client disconnect");
+  }
+
+  send(payload) {
+    this.perform(payload).catch(error => this.emit("error", error));
+  }
+
+  request(payload, replyType, timeout) {
+    return new Promise((resolve, reject) => {
+      let req = { reject };
+      req.timer = setTimeout(() => {
+        this.pending.delete(req);
+        reject(new TimeoutError(payload.action, timeout));
+      }, timeout);
+      this.pending.add(req);
+
+      this.perform(payload).then(data => {
+        clearTimeout(req.timer);
+        this.pending.delete(req);
+        resolve(data);
+      }, error => {
+        clearTimeout(req.timer);
+        this.pending.delete(req);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleClose(reason) {
+    if (this.status === 3) return;
+
+    this.status = 3;
+    this.socket.removeAllListeners();
+    for (let req of this.pending) {
+      clearTimeout(req.timer);
+      req.reject(new WebsocketConnectionError(3));
+    }
+    this.pending.clear();
+    this.emit("close", reason);
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(message) {
+    let d = message.data || {};
+
+    switch (message.type) {
+      default:
+        break;
+
+      case "playbackStatus.nowPlayingItemDidChange":
+        this.updateState(d);
+        break;
+      case "playbackStatus.playbackStateDidChange":
+        this.updateState(Object.assign({}, d.attributes, { isPlaying: d.state === "playing" }));
+        break;
+      case "playbackStatus.playbackTimeDidChange":
+        this.updateState({
+          isPlaying: d.isPlaying,
+          currentPlaybackTime: d.currentPlaybackTime,
+          durationInMillis: d.currentPlaybackDuration * 1000,
+        });
+        break;
+    }
+  }
+
+  /**
+   * Merges new data into the known playback state and emits it as a playbackStateUpdate
+   * @private
+   * @param {object} data Cider 2 playback data
+   * @returns {object} The legacy style message
+   */
+  updateState(data) {
+    Object.assign(this.state, toLegacyItem(data));
+    let message = { type: "playbackStateUpdate", data: Object.assign({}, this.state) };
+
+    // a song can't be built before we know what's playing
+    if (this.state.artwork) this.emit("message", message);
+    return message;
+  }
+
+  /**
+   * Fetches everything a playbackStateUpdate consists of
+   * @private
+   */
+  async refreshState() {
+    let [nowPlaying, volume, autoplay, playing] = await Promise.all([
+      this.api("GET", "/api/v1/playback/now-playing"),
+      this.api("GET", "/api/v1/playback/volume"),
+      this.api("GET", "/api/v1/playback/autoplay"),
+      this.api("GET", "/api/v1/playback/is-playing"),
+    ]);
+
+    return this.updateState(Object.assign({}, nowPlaying.info, {
+      volume: volume.volume,
+      autoplayEnabled: autoplay.value,
+      isPlaying: playing.is_playing,
+    }));
+  }
+
+  /**
+   * Toggles a mode until it matches the wanted value
+   * @private
+   */
+  async setMode(mode, value) {
+    for (let i = 0; i < 3; i++) {
+      let current = await this.api("GET", `/api/v1/playback/${mode}`);
+      if (current.value == value) break;
+      await this.api("POST", `/api/v1/playback/toggle-${mode.replace("-mode", "")}`);
+    }
+  }
+
+  /**
+   * Executes a legacy style action using the REST API
+   * @private
+   * @param {object} payload The legacy style message
+   * @returns {Promise<object | undefined>} The legacy style answer, if there is one
+   */
+  async perform(payload) {
+    switch (payload.action) {
+      case "play":
+      case "pause":
+      case "playpause":
+      case "next":
+      case "previous":
+        await this.api("POST", `/api/v1/playback/${payload.action}`);
+        return;
+      case "seek":
+        await this.api("POST", "/api/v1/playback/seek", { position: payload.data });
+        return;
+      case "volume":
+        await this.api("POST", "/api/v1/playback/volume", { volume: payload.volume });
+        break;
+      case "mute":
+        this.mutedVolume = (await this.api("GET", "/api/v1/playback/volume")).volume;
+        await this.api("POST", "/api/v1/playback/volume", { volume: 0 });
+        break;
+      case "unmute":
+        await this.api("POST", "/api/v1/playback/volume", { volume: this.mutedVolume || 1 });
+        break;
+      case "repeat":
+        await this.api("POST", "/api/v1/playback/toggle-repeat");
+        break;
+      case "set-repeat":
+        await this.setMode("repeat-mode", payload.repeat);
+        break;
+      case "shuffle":
+        await this.api("POST", "/api/v1/playback/toggle-shuffle");
+        break;
+      case "set-shuffle":
+        await this.setMode("shuffle-mode", payload.shuffle);
+        break;
+      case "set-autoplay":
+        await this.setMode("autoplay", payload.autoplay);
+        break;
+      case "get-currentmediaitem":
+        return this.refreshState();
+      case "get-queue":
+        return { type: "queue", data: this.toLegacyQueue(await this.api("GET", "/api/v1/playback/queue")) };
+      case "queue-move":
+        await this.api("POST", "/api/v1/playback/queue/move-to-position", { startIndex: payload.from, destinationIndex: payload.to });
+        return;
+      case "queue-remove":
+        await this.api("POST", "/api/v1/playback/queue/remove-by-index", { index: payload.index });
+        return;
+      case "queue-clear":
+        await this.api("POST", "/api/v1/playback/queue/clear-queue");
+        return;
+      case "play-mediaitem":
+        await this.api("POST", "/api/v1/playback/play-item", { type: pluralize(payload.kind), id: payload.id });
+        return;
+      case "play-next":
+      case "play-later":
+        await this.api("POST", `/api/v1/playback/${payload.action}`, { type: pluralize(payload.type), id: payload.id });
+        return;
+      case "search":
+        let path = `/v1/catalog/${this.options.storefront || "us"}/search?term=${encodeURIComponent(payload.term)}&limit=${payload.limit}&offset=${payload.offset || 0}&types=${payload.types || "songs,albums,artists,playlists"}`;
+        let res = await this.api("POST", "/api/v1/amapi/run-v3", { path: path });
+        return { type: "searchResults", data: res.data.results };
+      default:
+        throw new UnsupportedActionError(payload.action, "rpc");
+    }
+
+    // volume, shuffle, repeat and autoplay changes are not pushed by Cider
+    return this.refreshState();
+  }
+
+  /**
+   * @private
+   */
+  toLegacyQueue(items) {
+    if (!Array.isArray(items)) items = items.items || [];
+    let position = items.findIndex(i => i.attributes && i.attributes.playParams && i.attributes.playParams.id === this.state.songId);
+
+    return {
+      _queueItems: items.map(i => ({ item: { attributes: toLegacyItem(i.attributes || {}) } })),
+      _position: position,
+      _nextPlayableItemIndex: position + 1,
+      _isRestricted: false,
+      hasAutoplayStation: !!this.state.autoplayEnabled,
+    };
+  }
+
+  /**
+   * Sends a request to the REST API
+   * @private
+   * @param {string} method The HTTP method
+   * @param {string} path The path of the endpoint
+   * @param {object} [body] The JSON body
+   * @returns {Promise<object>} The parsed response
+   */
+  api(method, path, body) {
+    return new Promise((resolve, reject) => {
+      let headers = { "Content-Type": "application/json" };
+      if (this.options.token) headers.apptoken = this.options.token;
+
+      let req = http.request({ host: this.host, port: this.port, path: path, method: method, headers: headers }, (res) => {
+        let raw = "";
+        res.setEncoding("utf8");
+        res.on("data", chunk => { raw += chunk; });
+        res.on("end", () => {
+          if (res.statusCode >= 400) return reject(new Error(`Cider answered ${method} ${path} with HTTP ${res.statusCode}`));
+          try {
+            resolve(raw ? JSON.parse(raw) : {});
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+      req.on("error", reject);
+      if (body) req.write(JSON.stringify(body));
+      req.end();
+    });
+  }
+}
+
+RPCProtocol.defaultPort = 10767;
+
+/**
+ * Converts Cider 2 item attributes to the fields of a legacy playbackStateUpdate
+ * @private
+ */
+function toLegacyItem(data) {
+  let item = Object.assign({}, data);
+  if (data.playParams && data.playParams.id) item.songId = data.playParams.id;
+  if (typeof (data.isPlaying) === "boolean") item.status = data.isPlaying;
+
+  if (typeof (data.currentPlaybackTime) === "number" && data.durationInMillis) {
+    let elapsed = data.currentPlaybackTime * 1000;
+    item.remainingTime = data.durationInMillis - elapsed;
+    item.currentPlaybackProgress = elapsed / data.durationInMillis;
+    item.startTime = Date.now() - elapsed;
+    item.endTime = Date.now() + item.remainingTime;
+  }
+  return item;
+}
+
+/**
+ * Turns legacy kinds ("song") into Apple Music API types ("songs")
+ * @private
+ */
+function pluralize(kind = "song") {
+  return kind.endsWith("s") ? kind : kind + "s";
+}
+
+/**
+ * Checks whether the RPC API of Cider 2 is reachable
+ * @param {string} host The host to check
+ * @param {number} [port] The port to check
+ * @param {number} [timeout = 1000] How long to wait for an answer in milliseconds
+ * @returns {Promise<boolean>} Whether the RPC API answered
+ */
+function detectRPC(host, port = RPCProtocol.defaultPort, timeout = 1000) {
+  return new Promise(resolve => {
+    let req = http.get({ host: host, port: port, path: "/api/v1/playback/active", timeout: timeout }, (res) => {
+      res.resume();
+      // the legacy WebSocket server answers plain HTTP requests too, but never with JSON
+      resolve(/json/.test(res.headers["content-type"] || ""));
+    });
+    req.on("timeout", () => req.destroy());
+    req.on("error", () => resolve(false));
+  });
+}
+
+const protocols = {
+  legacy: LegacyProtocol,
+  rpc: RPCProtocol,
+};
+
+module.exports = { Protocol, LegacyProtocol, RPCProtocol, protocols, detectRPC };
@@ -0,0 +1,220 @@
+"use strict";
+
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+
+const { CiderActionError } = require("./errors.js");
+
+/**
+ * Actions a read-only client may send, with the type of the reply
+ * @private
+ */
+const READ_ACTIONS = {
+  "get-currentmediaitem": "playbackStateUpdate",
+  "get-queue": "queue",
+  "get-lyrics": "lyrics",
+  "search": "searchResults",
+};
+
+const PERMISSIONS = [null, "read", "control"];
+
+/**
+ * Shares one CiderWS connection with many clients.
+ * The relay speaks the legacy WebSocket API, so anything that can talk to Cider 1 (including CiderWS itself) can connect to it,
+ * no matter which protocol the upstream connection uses.
+ *
+ * Playback updates are sent to every client. Identical requests from several clients (e.g. everyone calling `forceUpdate()` or `getQueue()` at once)
+ * only reach Cider once and the answer is shared.
+ *
+ * Every client has a permission: `"control"` may do everything, `"read"` may only receive updates and fetch the song, queue, lyrics and search results,
+ * and `null` may do nothing until it identifies with a valid token.
+ * Clients send their token as `?token=<token>` in the URL or as `token` in their identify message (CiderWS does that when the `token` option is set).
+ *
+ * Emits `listening`, `connection` (client), `disconnect` (client), `denied` (client, action) and `close`.
+ * A client looks like this: `{ socket, address, name, permission }`.
+ *
+ * @class CiderRelay
+ * @extends EventEmitter
+ * @param {CiderWS} cider The upstream connection
+ * @param {object} [options]
+ * @param {number} [options.port = 26371] The port to listen on
+ * @param {string} [options.host = "0.0.0.0"] The address to listen on
+ * @param {object} [options.tokens = {}] Permissions by token, e.g. `{ "secret": "control", "overlay": "read" }`
+ * @param {string} [options.defaultPermission = "read"] The permission of clients without a valid token ("read", "control" or null)
+ */
+class CiderRelay extends EventEmitter {
+  constructor(cider, options = {}) {
+    super();
+    this.cider = cider;
+    this.options = Object.assign({
+      port: 26371,
+      host: "0.0.0.0",
+      tokens: {},
+      defaultPermission: "read",
+    }, options);
+    this.server;
+    this.clients = new Set();
+    this.requests = new Map();
+
+    this.onUpdate = (d) => { this.broadcast(d); };
+  }
+
+  /**
+   * Starts listening
+   * @async
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.cider.on("playbackStateUpdate", this.onUpdate);
+
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocketServer({ port: this.options.port, host: this.options.host });
+      this.server.once("error", reject);
+      this.server.once("listening", () => {
+        this.server.removeListener("error", reject);
+        this.emit("listening");
+        resolve();
+      });
+      this.server.on("connection", (socket, req) => { this.addClient(socket, req); });
+    });
+  }
+
+  /**
+   * Disconnects all clients and stops listening (the upstream connection stays open)
+   * @async
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.cider.removeListener("playbackStateUpdate", this.onUpdate);
+    if (!this.server) return Promise.resolve();
+
+    for (let client of this.clients) client.socket.close(1001, "Relay stopped");
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = undefined;
+        this.emit("close");
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Changes the permission of a connected client
+   * @param {object} client The client (from the `connection` event or `clients`)
+   * @param {string} permission "read", "control" or null
+   */
+  setPermission(client, permission) {
+    client.permission = permission;
+  }
+
+  /**
+   * Sends a raw message to every client that may read
+   * @param {object} message
+   */
+  broadcast(message) {
+    let raw = JSON.stringify(message);
+    for (let client of this.clients) {
+      if (client.permission && client.socket.readyState === 1) client.socket.send(raw);
+    }
+  }
+
+  /**
+   * @private
+   */
+  addClient(socket, req) {
+    let token = new URL(req.url, "http://localhost").searchParams.get("token");
+    let client = {
+      socket: socket,
+      address: req.socket.remoteAddress,
+      name: undefined,
+      permission: this.permissionFor(token),
+    };
+
+    this.clients.add(client);
+    socket.on("message", (raw) => {
+      let d;
+      try {
+        d = JSON.parse(raw);
+      } catch (error) {
+        return this.reply(client, { type: "generic", message: "Invalid message" });
+      }
+      this.handleAction(client, d);
+    });
+    socket.on("close", () => {
+      this.clients.delete(client);
+      this.emit("disconnect", client);
+    });
+    this.emit("connection", client);
+  }
+
+  /**
+   * @private
+   */
+  permissionFor(token) {
+    if (token && this.options.tokens[token] !== undefined) return this.options.tokens[token];
+    return this.options.defaultPermission;
+  }
+
+  /**
+   * @private
+   */
+  reply(client, message) {
+    if (client.socket.readyState === 1) client.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * @private
+   */
+  handleAction(client, d) {
+    if (d.action === "identify") {
+      client.name = d.name;
+      // a token in the identify message can only raise the permission
+      let permission = d.token ? this.permissionFor(d.token) : null;
+      if (PERMISSIONS.indexOf(permission) > PERMISSIONS.indexOf(client.permission)) client.permission = permission;
+      return this.reply(client, { type: "generic", message: "Thanks for identifying!" });
+    }
+
+    let needed = READ_ACTIONS[d.action] ? "read" : "control";
+    if (PERMISSIONS.indexOf(client.permission) < PERMISSIONS.indexOf(needed)) {
+      this.emit("denied", client, d.action);
+      return this.reply(client, { type: "generic", message: "Permission denied" });
+    }
+
+    try {
+      this.cider.connectionCheck();
+    } catch (error) {
+      return this.reply(client, { type: "generic", message: error.message });
+    }
+
+    if (d.action === "get-currentmediaitem") {
+      // the answer is a playbackStateUpdate, which every client gets anyway
+      this.cider.waitForUpdate().catch(() => { });
+    } else if (READ_ACTIONS[d.action]) {
+      this.shareRequest(d).then(
+        (reply) => { this.reply(client, reply); },
+        (error) => { if (error instanceof CiderActionError) this.reply(client, { type: "generic", message: "Action not found" }); }
+      );
+    } else if (d.action === "quit") {
+      // nobody closes Cider for everyone else
+      this.reply(client, { type: "generic", message: "Action not found" });
+    } else {
+      this.cider.send(d);
+    }
+  }
+
+  /**
+   * Sends a request upstream, or joins the same request if it is already waiting for an answer
+   * @private
+   * @param {object} d The request
+   * @returns {Promise<object>} The raw reply
+   */
+  shareRequest(d) {
+    let key = JSON.stringify(d);
+    if (!this.requests.has(key)) {
+      this.requests.set(key, this.cider.request(d, READ_ACTIONS[d.action]).finally(() => { this.requests.delete(key); }));
+    }
+    return this.requests.get(key);
+  }
+}
+
+module.exports = { CiderRelay };
@@ -0,0 +1,455 @@
+"use strict";
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const {
+  MissingParameterError,
+  ParameterTypeMismatchError,
+  ParameterValueError
+} = require("./errors.js");
+const { RULE_ACTIONS } = require("./automation.js");
+const { writeAtomic } = require("./files.js");
+
+const AFTER = ["track", "album"];
+// setTimeout can't wait longer than this (about 24.8 days), longer waits are split up
+const MAX_DELAY = 2147483647;
+// jobs at the end of a track fire a bit early, so the next song doesn't start playing first
+const END_MARGIN = 500;
+
+// minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * Parses one field of a cron expression (`*`, `5`, `1-5`, `*\/15`, `1,15,30`, ...)
+ * @private
+ * @returns {Set<number> | undefined} The allowed values, undefined if the field is invalid
+ */
+function parseCronField(text, min, max) {
+  let values = new Set();
+  for (let part of text.split(",")) {
+    let [range, step = "1"] = part.split("/");
+    let [from, to] = range === "*" ? [min, max] : range.split("-").map(n => Number(n));
+    if (to === undefined) to = part.includes("/") ? max : from;
+    step = Number(step);
+
+    if (![from, to, step].every(Number.isInteger) || from < min || to > max || from > to || step < 1) return undefined;
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression with five fields: minute, hour, day of month, month and day of week
+ * @private
+ */
+function parseCron(expression) {
+  let fields = typeof (expression) === "string" ? expression.trim().split(/\s+/) : [];
+  let parsed = fields.length === 5 ? fields.map((f, i) => parseCronField(f, ...CRON_RANGES[i])) : [];
+  if (parsed.length !== 5 || parsed.includes(undefined)) {
+    throw new ParameterTypeMismatchError("job.cron", "a cron expression like \"0 7 * * 1-5\"", expression);
+  }
+
+  let [minutes, hours, days, months, weekdays] = parsed;
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes, hours, days, months, weekdays,
+    // like in cron, if both days are restricted, either of them may match
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+/**
+ * The next time a cron expression matches, after the given time
+ * @private
+ * @returns {number | undefined} A timestamp, undefined if it never matches (like on February 31st)
+ */
+function nextCron(cron, after) {
+  let date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // enough steps to get through a few years of days, hours and minutes
+  for (let i = 0; i < 100000; i++) {
+    let dayMatches = cron.anyDay && cron.anyWeekday ? true
+      : cron.anyDay ? cron.weekdays.has(date.getDay())
+        : cron.anyWeekday ? cron.days.has(date.getDate())
+          : cron.days.has(date.getDate()) || cron.weekdays.has(date.getDay());
+
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Turns a Date, a timestamp, "HH:MM" (the next time it's that time) or a date string into a timestamp
+ * @private
+ */
+function parseTime(at) {
+  if (at instanceof Date) return at.getTime();
+  if (typeof (at) === "number") return at;
+
+  let match = typeof (at) === "string" ? at.match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (match) {
+    let date = new Date();
+    date.setHours(parseInt(match[1]), parseInt(match[2]), 0, 0);
+    if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+    return date.getTime();
+  }
+
+  let time = typeof (at) === "string" ? Date.parse(at) : NaN;
+  if (isNaN(time)) throw new ParameterTypeMismatchError("job.at", "a Date, a timestamp or \"HH:MM\"", at);
+  return time;
+}
+
+/**
+ * Runs actions later: at a time, after a while, on a cron-like schedule or at the end of the current track or album.
+ * Available as `scheduler` on every CiderWS instance.
+ *
+ * A job looks like this (only one of `at`, `in`, `cron` and `after`):
+ * ```
+ * {
+ *  name: "alarm",                             // optional, shows up in the events
+ *  at: "07:00",                               // a Date, a timestamp or "HH:MM" (the next time it's that time)
+ *  in: 1800000,                               // in milliseconds from now
+ *  cron: "0 7 * * 1-5",                       // minute, hour, day of month, month, day of week
+ *  after: "track",                            // "track" or "album", at the end of the one playing right now
+ *  do: { playById: ["pl.123", "playlist"] },  // CiderWS methods and their arguments, like in Automation rules (default: { command: "pause" })
+ *  fade: 10000,                               // fade out for this long before the job pauses (see `CiderWS.fadeOut()`), only for jobs that pause
+ * }
+ * ```
+ * Actions have to be objects (no functions), so the jobs can be saved.
+ *
+ * Emits `scheduled` (job), `fired` (job) and `cancelled` (job, reason: "cancelled" or "missed").
+ *
+ * @class Scheduler
+ * @extends EventEmitter
+ * @param {CiderWS} cider The instance to control
+ * @param {object} [options]
+ * @param {string} [options.file] A JSON file to keep the pending jobs in, they are loaded from it right away
+ */
+class Scheduler extends EventEmitter {
+  constructor(cider, options = {}) {
+    super();
+    this.cider = cider;
+    this.options = Object.assign({
+      file: undefined,
+    }, options);
+    this.pending = new Map();
+    this.timers = new Map();
+    this.nextId = 1;
+    this.loading = this.options.file ? this.load().catch(error => cider.handleError(error)) : Promise.resolve();
+    // saving has to wait for loading, or the saved jobs would be overwritten before they're read
+    this.saving = this.loading;
+
+    cider.internal.on("songUpdate", (song) => { this.songChanged(song); });
+    cider.internal.on("playbackUpdate", () => { this.armTrackJobs(); });
+    // pending jobs keep the process alive, but after close() they can't do anything anymore
+    cider.internal.on("close", () => { for (let timer of this.timers.values()) timer.unref(); });
+    cider.internal.on("connect", () => { for (let timer of this.timers.values()) timer.ref(); });
+  }
+
+  /**
+   * All pending jobs, the next run is in `time` (except for jobs waiting for the end of a track or album)
+   * @type {object[]}
+   */
+  get jobs() {
+    return Array.from(this.pending.values());
+  }
+
+  /**
+   * Schedules a job (see the class description)
+   * @param {object} job
+   * @returns {object} The job, with an `id`
+   */
+  schedule(job) {
+    if (!job || typeof (job) !== "object") throw new ParameterTypeMismatchError("job", "object", job);
+    let given = ["at", "in", "cron", "after"].filter(key => job[key] !== undefined);
+    if (given.length === 0) throw new MissingParameterError("job.at, job.in, job.cron or job.after");
+    if (given.length > 1) throw new ParameterValueError("job timing", ["at", "in", "cron", "after"], given.join(", "));
+
+    let entry = {
+      id: this.nextId++,
+      name: job.name,
+      do: job.do || { command: "pause" },
+      fade: job.fade || 0,
+      time: undefined,
+      cron: job.cron,
+      after: job.after,
+      songId: undefined,
+      album: undefined,
+    };
+    validateActions(entry.do);
+    this.cider.paramCheck(entry.fade, "job.fade", "number", 0, Infinity);
+    // the fade ends in a pause, anything else would be paused by surprise
+    if (entry.fade && entry.do.command !== "pause") throw new ParameterValueError("job.do.command with job.fade", ["pause"], entry.do.command);
+
+    if (job.in !== undefined) {
+      this.cider.paramCheck(job.in, "job.in", "number", 0, Infinity);
+      entry.time = Date.now() + job.in;
+    } else if (job.at !== undefined) {
+      entry.time = parseTime(job.at);
+    } else if (job.cron !== undefined) {
+      entry.time = nextCron(parseCron(job.cron), Date.now());
+      if (entry.time === undefined) throw new ParameterTypeMismatchError("job.cron", "a cron expression that matches some day", job.cron);
+    } else {
+      if (!AFTER.includes(job.after)) throw new ParameterValueError("job.after", AFTER, job.after);
+      let song = this.cider.currentSong;
+      entry.songId = song ? song.id : undefined;
+      entry.album = song ? song.album : undefined;
+      // to know whether the next song is still on the same album
+      if (job.after === "album" && !this.cider.queue.loaded && this.cider.isReady) {
+        this.cider.queue.refresh().catch(error => this.cider.handleError(error));
+      }
+    }
+
+    this.add(entry);
+    this.emit("scheduled", entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Pauses after a while, like a sleep timer
+   * @param {number} duration In milliseconds
+   * @param {number} [fade = 0] How long to fade out before pausing, in milliseconds
+   * @returns {object} The job
+   */
+  pauseIn(duration, fade = 0) {
+    return this.schedule({ name: "sleep timer", in: duration, fade: fade });
+  }
+
+  /**
+   * Pauses at the end of the current track or album
+   * @param {string} [what = "track"] "track" or "album"
+   * @param {number} [fade = 0] How long to fade out before pausing, in milliseconds
+   * @returns {object} The job
+   */
+  pauseAfter(what = "track", fade = 0) {
+    return this.schedule({ name: "sleep timer", after: what, fade: fade });
+  }
+
+  /**
+   * Cancels a pending job
+   * @param {object | number | string} job The job, its ID or its name
+   * @returns {boolean} Whether a job was cancelled
+   */
+  cancel(job) {
+    let entry = this.find(job);
+    if (!entry) return false;
+
+    this.remove(entry);
+    this.emit("cancelled", entry, "cancelled");
+    this.save();
+    return true;
+  }
+
+  /**
+   * Cancels all pending jobs
+   */
+  cancelAll() {
+    for (let entry of this.jobs) this.cancel(entry);
+  }
+
+  /**
+   * Loads the pending jobs from the file. Jobs whose time passed in the meantime are cancelled as "missed",
+   * recurring jobs simply continue with their next time.
+   * @async
+   * @private
+   */
+  async load() {
+    let jobs;
+    try {
+      jobs = JSON.parse(await fs.promises.readFile(this.options.file, "utf8"));
+    } catch (error) {
+      // nothing saved yet
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+
+    for (let entry of jobs) {
+      // jobs scheduled while loading already took the ID
+      if (this.pending.has(entry.id)) entry.id = this.nextId++;
+      else this.nextId = Math.max(this.nextId, entry.id + 1);
+      if (entry.cron) {
+        entry.time = nextCron(parseCron(entry.cron), Math.max(Date.now(), entry.time - 60000));
+      } else if (!entry.after && entry.time < Date.now()) {
+        this.emit("cancelled", entry, "missed");
+        continue;
+      }
+      this.add(entry);
+    }
+    this.save();
+  }
+
+  /**
+   * Writes the pending jobs to the file, writes never overlap
+   * @private
+   */
+  save() {
+    if (!this.options.file) return;
+    this.saving = this.saving.then(() => writeAtomic(this.options.file, JSON.stringify(this.jobs, null, 2)))
+      .catch(error => this.cider.handleError(error));
+  }
+
+  /**
+   * @private
+   */
+  find(job) {
+    if (typeof (job) === "object" && job !== null) job = job.id;
+    return this.pending.get(job) || this.jobs.find(e => typeof (job) === "string" && e.name === job);
+  }
+
+  /**
+   * @private
+   */
+  add(entry) {
+    this.pending.set(entry.id, entry);
+    if (entry.after) this.armTrack(entry);
+    else this.arm(entry);
+  }
+
+  /**
+   * @private
+   */
+  remove(entry) {
+    clearTimeout(this.timers.get(entry.id));
+    this.timers.delete(entry.id);
+    this.pending.delete(entry.id);
+  }
+
+  /**
+   * Only lets a timer keep the process alive while the connection isn't closed for good
+   * @private
+   */
+  keep(timer) {
+    if (this.cider.closedManually) timer.unref();
+  }
+
+  /**
+   * Sets the timer for a job with a time, the fade starts early so it's done on time
+   * @private
+   */
+  arm(entry) {
+    clearTimeout(this.timers.get(entry.id));
+    let delay = entry.time - entry.fade - Date.now();
+    let timer = setTimeout(() => {
+      if (entry.time - entry.fade > Date.now()) return this.arm(entry);
+      this.fire(entry);
+    }, Math.min(Math.max(delay, 0), MAX_DELAY));
+    this.keep(timer);
+    this.timers.set(entry.id, timer);
+  }
+
+  /**
+   * Sets the timer for a job at the end of a track, only while playing
+   * @private
+   */
+  armTrack(entry) {
+    clearTimeout(this.timers.get(entry.id));
+    this.timers.delete(entry.id);
+
+    let song = this.cider.currentSong;
+    let playback = this.cider.playback;
+    if (!song || song.id !== entry.songId || !playback || !playback.isPlaying) return;
+    // the album goes on (or we don't know yet), the next songUpdate takes care of it
+    if (entry.after === "album") {
+      let next = this.cider.queue.upcoming[0];
+      if (!this.cider.queue.loaded || (next && next.album === entry.album)) return;
+    }
+
+    let remaining = song.duration - this.cider.getPosition();
+    let timer = setTimeout(() => { this.fire(entry); }, Math.max(remaining - entry.fade - END_MARGIN, 0));
+    this.keep(timer);
+    this.timers.set(entry.id, timer);
+  }
+
+  /**
+   * @private
+   */
+  armTrackJobs() {
+    for (let entry of this.pending.values()) {
+      if (entry.after) this.armTrack(entry);
+    }
+  }
+
+  /**
+   * A new song means the track (or maybe the album) is over, if the job didn't fire already
+   * @private
+   * @param {Song} song
+   */
+  songChanged(song) {
+    for (let entry of this.jobs) {
+      if (!entry.after || entry.songId === song.id) continue;
+
+      // scheduled while nothing was playing, so it's about this one
+      if (entry.songId === undefined || (entry.after === "album" && song.album === entry.album)) {
+        entry.songId = song.id;
+        entry.album = song.album;
+        this.save();
+        continue;
+      }
+      this.fire(entry);
+    }
+    this.armTrackJobs();
+  }
+
+  /**
+   * @private
+   */
+  async fire(entry) {
+    if (this.pending.get(entry.id) !== entry) return;
+    this.remove(entry);
+
+    if (entry.cron) {
+      let next = Object.assign({}, entry, { time: nextCron(parseCron(entry.cron), entry.time) });
+      if (next.time !== undefined) this.add(next);
+    }
+    this.save();
+    this.emit("fired", entry);
+
+    let actions = entry.do;
+    try {
+      // checked when scheduling, but the file might be older than that
+      if (entry.fade && actions.command === "pause") {
+        let remaining = entry.after ? Infinity : entry.time - Date.now();
+        // the pause is done by the fade, which also puts the volume back afterwards
+        if (await this.cider.fadeOut(Math.max(0, Math.min(entry.fade, remaining)))) {
+          actions = Object.assign({}, actions);
+          delete actions.command;
+        }
+      }
+      for (let method in actions) {
+        let args = Array.isArray(actions[method]) ? actions[method] : [actions[method]];
+        Promise.resolve(this.cider[method](...args)).catch(error => this.cider.handleError(error));
+      }
+    } catch (error) {
+      this.cider.handleError(error);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateActions(actions) {
+  if (typeof (actions) !== "object" || actions === null) throw new ParameterTypeMismatchError("job.do", "object", actions);
+  for (let method in actions) {
+    if (!RULE_ACTIONS.includes(method)) throw new ParameterValueError("job action", RULE_ACTIONS, method);
+  }
+}
+
+module.exports = { Scheduler };
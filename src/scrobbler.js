@@ -0,0 +1,294 @@
+"use strict";
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+/**
+ * Keeps the history in memory.
+ *
+ * A store only needs `add(entry)` and `list(options)`, both may return a Promise.
+ *
+ * @class MemoryStore
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * @param {object} entry The history entry
+   */
+  add(entry) {
+    this.entries.push(entry);
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.since] Only entries started at or after this timestamp
+   * @param {number} [options.limit] Only the latest `limit` entries
+   * @returns {object[]} The entries, oldest first
+   */
+  list(options = {}) {
+    return filterEntries(this.entries, options);
+  }
+}
+
+/**
+ * Appends the history to a file, one JSON object per line.
+ *
+ * @class JSONLinesStore
+ * @param {string} path The file to write to (created if it doesn't exist)
+ */
+class JSONLinesStore {
+  constructor(path) {
+    this.path = path;
+  }
+
+  /**
+   * @async
+   * @param {object} entry The history entry
+   */
+  add(entry) {
+    return fs.promises.appendFile(this.path, JSON.stringify(entry) + "\n");
+  }
+
+  /**
+   * @async
+   * @param {object} [options] See {@link MemoryStore#list}
+   * @returns {Promise<object[]>} The entries, oldest first
+   */
+  async list(options = {}) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    let entries = raw.split("\n").filter(l => l.trim() !== "").map(l => JSON.parse(l));
+    return filterEntries(entries, options);
+  }
+}
+
+/**
+ * @private
+ */
+function filterEntries(entries, options) {
+  let result = entries;
+  if (typeof (options.since) === "number") result = result.filter(e => e.startedAt >= options.since);
+  if (typeof (options.limit) === "number") result = result.slice(-options.limit);
+  return result.slice();
+}
+
+/**
+ * Base class for sending plays to an external service (Last.fm, ListenBrainz, ...).
+ * Both methods may return a Promise; failures are emitted as `error` on the CiderWS instance.
+ *
+ * @class ScrobbleAdapter
+ */
+class ScrobbleAdapter {
+  /**
+   * Called when a new song starts playing
+   * @param {Song} song
+   */
+  nowPlaying(song) { }
+
+  /**
+   * Called when a play counts as a scrobble
+   * @param {object} entry The history entry
+   */
+  scrobble(entry) { }
+}
+
+/**
+ * An adapter that doesn't send anything anywhere, but remembers every call. Handy for testing.
+ *
+ * @class StubAdapter
+ * @extends ScrobbleAdapter
+ * @var {Song[]} nowPlayingCalls The songs passed to nowPlaying()
+ * @var {object[]} scrobbles The entries passed to scrobble()
+ */
+class StubAdapter extends ScrobbleAdapter {
+  constructor() {
+    super();
+    this.nowPlayingCalls = [];
+    this.scrobbles = [];
+  }
+
+  nowPlaying(song) {
+    this.nowPlayingCalls.push(song);
+  }
+
+  scrobble(entry) {
+    this.scrobbles.push(entry);
+  }
+}
+
+/**
+ * Logs every song that was actually listened to, following the Last.fm rules:
+ * a song counts once it was played for half its duration or 4 minutes (whatever comes first), and songs of 30 seconds or less never count.
+ * Only the time really spent playing counts, so seeking ahead doesn't help.
+ *
+ * Emits `nowPlaying` (Song), `scrobble` (history entry) and `skip` (history entry of a play that didn't count).
+ * A history entry looks like this: `{ song: Song, startedAt: number, endedAt: number, playedTime: number }` (timestamps and time in milliseconds).
+ *
+ * @class Scrobbler
+ * @extends EventEmitter
+ * @param {CiderWS} cider The instance to listen to
+ * @param {object} [options]
+ * @param {object} [options.store] Where the history is saved (default: a MemoryStore)
+ * @param {ScrobbleAdapter[]} [options.adapters] Services to send plays to
+ * @param {number} [options.minPlayedRatio = 0.5] The part of the song that has to be played
+ * @param {number} [options.minPlayedTime = 240000] The time after which a song always counts, in milliseconds
+ * @param {number} [options.minDuration = 30000] Songs this short or shorter never count, in milliseconds
+ * @param {number} [options.maxGap = 10000] Bigger jumps between two playback updates are treated as seeking, in milliseconds
+ */
+class Scrobbler extends EventEmitter {
+  constructor(cider, options = {}) {
+    super();
+    this.cider = cider;
+    this.options = Object.assign({
+      store: new MemoryStore(),
+      adapters: [],
+      minPlayedRatio: 0.5,
+      minPlayedTime: 240000,
+      minDuration: 30000,
+      maxGap: 10000,
+    }, options);
+    this.store = this.options.store;
+    this.adapters = this.options.adapters.slice();
+    this.current;
+    this.lastElapsed;
+
+    this.onSong = (song) => { this.startPlay(song); };
+    this.onPlayback = (playback) => { this.trackPlayback(playback); };
+    cider.on("songUpdate", this.onSong);
+    cider.on("playbackUpdate", this.onPlayback);
+
+    if (cider.currentSong && cider.currentSong.duration > 0) this.startPlay(cider.currentSong);
+  }
+
+  /**
+   * Adds a service to send plays to
+   * @param {ScrobbleAdapter} adapter
+   */
+  addAdapter(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * Gets the listening history
+   * @async
+   * @param {object} [options]
+   * @param {number} [options.since] Only entries started at or after this timestamp
+   * @param {number} [options.limit] Only the latest `limit` entries
+   * @returns {Promise<object[]>} The entries, oldest first
+   */
+  async history(options = {}) {
+    return this.store.list(options);
+  }
+
+  /**
+   * Finishes the current play (e.g. before shutting down), so it counts if it was long enough
+   * @async
+   */
+  async flush() {
+    let play = this.current;
+    this.current = undefined;
+    this.lastElapsed = undefined;
+    if (play) await this.finishPlay(play);
+  }
+
+  /**
+   * Stops listening to CiderWS and finishes the current play
+   * @async
+   */
+  async stop() {
+    this.cider.removeListener("songUpdate", this.onSong);
+    this.cider.removeListener("playbackUpdate", this.onPlayback);
+    await this.flush();
+  }
+
+  /**
+   * @private
+   */
+  startPlay(song) {
+    let previous = this.current;
+    this.current = { song: song, startedAt: Date.now(), playedTime: 0 };
+    this.lastElapsed = undefined;
+
+    if (previous) this.finishPlay(previous);
+    this.emit("nowPlaying", song);
+    this.notify("nowPlaying", song);
+  }
+
+  /**
+   * @private
+   */
+  trackPlayback(playback) {
+    let play = this.current;
+    if (!play) return;
+
+    if (this.lastElapsed !== undefined && playback.isPlaying) {
+      let delta = playback.elapsedTime - this.lastElapsed;
+      if (delta > 0 && delta <= this.options.maxGap) {
+        play.playedTime += delta;
+      } else if (delta < 0 && this.lastElapsed >= play.song.duration * 0.9 && playback.elapsedTime < this.options.maxGap) {
+        // back at the start after the end, so the song is on repeat and this is a new play
+        this.lastElapsed = playback.elapsedTime;
+        return this.startPlay(play.song);
+      }
+    }
+    this.lastElapsed = playback.elapsedTime;
+  }
+
+  /**
+   * @private
+   * @param {object} play The play to finish
+   */
+  async finishPlay(play) {
+    let entry = {
+      song: play.song,
+      startedAt: play.startedAt,
+      endedAt: Date.now(),
+      playedTime: Math.round(play.playedTime),
+    };
+
+    if (!this.counts(entry)) {
+      this.emit("skip", entry);
+      return;
+    }
+
+    try {
+      await this.store.add(entry);
+    } catch (error) {
+      this.cider.handleError(error);
+    }
+    this.emit("scrobble", entry);
+    this.notify("scrobble", entry);
+  }
+
+  /**
+   * @private
+   */
+  counts(entry) {
+    let duration = entry.song.duration;
+    if (!duration || duration <= this.options.minDuration) return false;
+    return entry.playedTime >= duration * this.options.minPlayedRatio || entry.playedTime >= this.options.minPlayedTime;
+  }
+
+  /**
+   * Calls a method on all adapters
+   * @private
+   */
+  notify(method, arg) {
+    for (let adapter of this.adapters) {
+      Promise.resolve()
+        .then(() => adapter[method](arg))
+        .catch(error => this.cider.handleError(error));
+    }
+  }
+}
+
+module.exports = { Scrobbler, MemoryStore, JSONLinesStore, ScrobbleAdapter, StubAdapter };
@@ -0,0 +1,235 @@
+"use strict";
+
+const fs = require('fs');
+
+const { Protocol } = require("./protocols.js");
+const { UnsupportedActionError } = require("./errors.js");
+
+/**
+ * Records everything going through another protocol to a JSONL file, one frame per line:
+ * ```
+ * { "t": 0, "dir": "meta", "protocol": "LegacyProtocol", "time": 1700000000000 }
+ * { "t": 12, "dir": "out", "data": { "action": "get-currentmediaitem" }, "replyType": "playbackStateUpdate" }
+ * { "t": 40, "dir": "in", "data": { "type": "playbackStateUpdate", "data": { ... } } }
+ * { "t": 41, "dir": "reply", "type": "playbackStateUpdate", "data": { ... } }
+ * ```
+ * `t` is the time since the recording started in milliseconds. `in` frames are the messages CiderWS handles,
+ * `out` frames the actions it sends and `reply` frames the answers to requests (which the RPC API doesn't send as messages).
+ *
+ * The file is only created once the first frame comes in, so a protocol that never connects doesn't leave an empty recording behind.
+ * Frames coming in after `stop()` (e.g. after connecting again) are appended to the same recording.
+ *
+ * @class RecordingProtocol
+ * @extends Protocol
+ * @param {Protocol} protocol The protocol to record
+ * @param {object} options
+ * @param {string} options.file The file to write the recording to (it's overwritten)
+ */
+class RecordingProtocol extends Protocol {
+  constructor(protocol, options = {}) {
+    super(protocol.host, protocol.port, protocol.options);
+    this.protocol = protocol;
+    this.file = options.file;
+    this.stream;
+    this.started;
+    this.stopping;
+
+    protocol.on("message", (d) => {
+      this.record({ dir: "in", data: d });
+      this.emit("message", d);
+    });
+    protocol.on("ready", () => { this.emit("ready"); });
+    protocol.on("close", (event) => { this.emit("close", event); });
+    protocol.on("error", (error) => { this.emit("error", error); });
+  }
+
+  get readyState() {
+    return this.protocol.readyState;
+  }
+
+  open() {
+    this.protocol.open();
+  }
+
+  close() {
+    this.protocol.close();
+  }
+
+  send(payload) {
+    this.record({ dir: "out", data: payload });
+    this.protocol.send(payload);
+  }
+
+  request(payload, replyType, timeout) {
+    this.record({ dir: "out", data: payload, replyType: replyType });
+    return this.protocol.request(payload, replyType, timeout).then(data => {
+      this.record({ dir: "reply", type: replyType, data: data });
+      return data;
+    });
+  }
+
+  /**
+   * Finishes writing the recording (calling it again waits for the same)
+   * @async
+   */
+  stop() {
+    if (!this.stream) return this.stopping || Promise.resolve();
+    let stream = this.stream;
+    this.stream = undefined;
+    this.stopping = new Promise(resolve => { stream.end(resolve); });
+    return this.stopping;
+  }
+
+  /**
+   * @private
+   */
+  record(frame) {
+    if (!this.file) return;
+    if (!this.stream) {
+      let resumed = this.started !== undefined;
+      if (!resumed) this.started = Date.now();
+      this.stream = fs.createWriteStream(this.file, { flags: resumed ? "a" : "w" });
+      this.stream.on("error", (error) => { this.emit("error", error); });
+      if (!resumed) this.stream.write(JSON.stringify({ t: 0, dir: "meta", protocol: this.protocol.constructor.name, time: this.started }) + "\n");
+    }
+    this.stream.write(JSON.stringify(Object.assign({ t: Date.now() - this.started }, frame)) + "\n");
+  }
+}
+
+/**
+ * Reads a recording made by a {@link RecordingProtocol}
+ * @param {string} file
+ * @returns {object[]} The frames
+ */
+function readRecording(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Plays a recording back into CiderWS instead of talking to Cider, so `songUpdate`, `statesUpdate`, `playbackUpdate`
+ * and everything else fire just like they did back then. Perfect for bug reports and tests.
+ *
+ * Actions sent by CiderWS go nowhere and are collected in `sent`. Requests are answered with the recorded replies of the same type, in order
+ * (the last one is used again once they run out), and fail with an UnsupportedActionError if the recording has none.
+ *
+ * Emits `frame` (every `in` frame played back) and `end` (the recording is over, the connection stays open until it's closed).
+ *
+ * @class ReplayProtocol
+ * @extends Protocol
+ * @param {string | object[]} recording The file or the frames
+ * @param {object} [options]
+ * @param {number} [options.speed = 1] How much faster than the original to play (`Infinity` plays everything right away)
+ * @param {boolean} [options.step = false] If true, nothing plays by itself and every `next()` plays one frame
+ * @var {object[]} sent The actions CiderWS sent
+ */
+class ReplayProtocol extends Protocol {
+  constructor(recording, options = {}) {
+    super("replay", undefined, {});
+    this.recording = recording;
+    this.options = Object.assign({
+      speed: 1,
+      step: false,
+    }, options);
+    this.frames = [];
+    this.replies = {};
+    this.position = 0;
+    this.status = 3;
+    this.timer;
+    this.sent = [];
+  }
+
+  get readyState() {
+    return this.status;
+  }
+
+  open() {
+    if (this.status !== 3) return;
+
+    let frames;
+    try {
+      frames = typeof (this.recording) === "string" ? readRecording(this.recording) : this.recording;
+    } catch (error) {
+      // like a connection that failed
+      setImmediate(() => {
+        this.emit("error", error);
+        this.emit("close", error.message);
+      });
+      return;
+    }
+
+    this.frames = frames.filter(f => f.dir === "in");
+    this.replies = {};
+    for (let frame of frames) {
+      if (frame.dir !== "reply") continue;
+      if (!this.replies[frame.type]) this.replies[frame.type] = [];
+      this.replies[frame.type].push(frame.data);
+    }
+    this.position = 0;
+    this.status = 0;
+
+    setImmediate(() => {
+      if (this.status !== 0) return;
+      this.status = 1;
+      this.emit("ready");
+      if (!this.options.step) this.schedule();
+    });
+  }
+
+  close() {
+    if (this.status === 3) return;
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    this.status = 3;
+    this.emit("close", "replay closed");
+  }
+
+  send(payload) {
+    this.sent.push(payload);
+  }
+
+  request(payload, replyType) {
+    this.sent.push(payload);
+    let replies = this.replies[replyType];
+    if (!replies || !replies.length) return Promise.reject(new UnsupportedActionError(payload.action, "replay"));
+    return Promise.resolve(replies.length > 1 ? replies.shift() : replies[0]);
+  }
+
+  /**
+   * Plays the next frame right away
+   * @returns {object | undefined} The frame, undefined if the recording is over
+   */
+  next() {
+    if (this.status !== 1) return undefined;
+    let frame = this.frames[this.position];
+    if (!frame) return undefined;
+
+    this.position++;
+    this.emit("message", frame.data);
+    this.emit("frame", frame);
+    if (this.position >= this.frames.length) this.emit("end");
+    return frame;
+  }
+
+  /**
+   * Waits for the next frame as long as it took in the recording (divided by the speed)
+   * @private
+   */
+  schedule() {
+    let frame = this.frames[this.position];
+    if (!frame) {
+      // an empty recording is over right away
+      if (this.position === 0) this.emit("end");
+      return;
+    }
+
+    let previous = this.position > 0 ? this.frames[this.position - 1].t : frame.t;
+    let delay = (frame.t - previous) / this.options.speed;
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.next();
+      if (this.status === 1) this.schedule();
+    }, isFinite(delay) ? delay : 0);
+  }
+}
+
+module.exports = { RecordingProtocol, ReplayProtocol, readRecording };
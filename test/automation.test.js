@@ -0,0 +1,121 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Automation,
+  MissingParameterError,
+  ParameterTypeMismatchError,
+  ParameterValueError,
+} = require("../ciderws.js");
+const { shortSongs, sleep, until, nextEvent, connect, disconnect } = require("./helpers.js");
+
+describe("Automation", () => {
+  let server;
+  let cider;
+  let automation;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({}, { queue: shortSongs }));
+    await cider.getSong();
+    automation = new Automation(cider);
+  });
+
+  afterEach(async () => {
+    automation.stop();
+    await disconnect({ server, cider });
+  });
+
+  it("runs actions when the conditions match", async () => {
+    automation.addRule({ name: "rock", when: { genre: "rock", artist: /other/i }, do: { setVolume: 0.3, setRepeat: [2] } });
+    let fired = nextEvent(automation, "fired");
+    cider.command("next");
+    await sleep(200);
+    assert.equal(server.volume, 1);
+    cider.command("next");
+    let [rule, context] = await fired;
+    assert.equal(rule.name, "rock");
+    assert.equal(context.event, "songUpdate");
+    assert.equal(context.song.title, "Three");
+    await until(() => server.volume === 0.3 && server.repeatMode === 2);
+  });
+
+  it("takes functions", async () => {
+    let seen = [];
+    automation.addRule({
+      on: "volumeChange",
+      when: (context) => context.args[0] < 0.5,
+      do: (c, context) => { seen.push(context.args[0]); },
+    });
+    cider.setVolume(0.8);
+    cider.setVolume(0.2);
+    await until(() => seen.length === 1);
+    assert.deepEqual(seen, [0.2]);
+  });
+
+  it("counts runs, matches and time", () => {
+    let runs = { every: 0, times: 0, cooldown: 0 };
+    automation.addRule({ on: "tick", every: 2, do: () => { runs.every++; } });
+    automation.addRule({ on: "tick", times: 2, do: () => { runs.times++; } });
+    automation.addRule({ on: "tick", cooldown: 60000, do: () => { runs.cooldown++; } });
+    for (let i = 0; i < 5; i++) cider.emit("tick");
+    assert.deepEqual(runs, { every: 2, times: 2, cooldown: 1 });
+  });
+
+  it("only pretends in dry-run mode", async () => {
+    automation.dryRun = true;
+    automation.addRule({ on: "tick", do: { setVolume: 0.1 } });
+    let fired = nextEvent(automation, "fired");
+    cider.emit("tick");
+    assert.equal((await fired)[1].dryRun, true);
+    await sleep(100);
+    assert.equal(server.volume, 1);
+  });
+
+  it("checks the time of day and the weekday", () => {
+    let night = { time: { after: "22:00", before: "06:00" } };
+    let at = (hours, minutes = 0) => ({ date: new Date(2024, 0, 1, hours, minutes) });
+    assert.equal(automation.check(night, at(23)), true);
+    assert.equal(automation.check(night, at(5, 59)), true);
+    assert.equal(automation.check(night, at(6)), false);
+    assert.equal(automation.check({ time: { after: "7:30" } }, at(7, 29)), false);
+    assert.equal(automation.check({ time: { before: "12:00" } }, at(7, 29)), true);
+    // January 1st 2024 was a Monday
+    assert.equal(automation.check({ days: [1, 2] }, at(12)), true);
+    assert.equal(automation.check({ days: [0, 6] }, at(12)), false);
+  });
+
+  it("reports failing actions", async () => {
+    automation.addRule({ on: "tick", do: { seek: "later" } });
+    let error = nextEvent(cider, "error");
+    cider.emit("tick");
+    assert.ok((await error)[0] instanceof ParameterTypeMismatchError);
+  });
+
+  it("checks the rules when they are added", () => {
+    assert.throws(() => automation.addRule("skip"), ParameterTypeMismatchError);
+    assert.throws(() => automation.addRule({ on: "songUpdate" }), MissingParameterError);
+    assert.throws(() => automation.addRule({ do: { explode: true } }), ParameterValueError);
+    assert.throws(() => automation.addRule({ when: { mood: "happy" }, do: { command: "next" } }), ParameterValueError);
+    for (let time of ["22:00", {}, { after: "25:00" }, { before: "7" }, { after: "12:60" }, { after: 2200 }]) {
+      assert.throws(() => automation.addRule({ when: { time }, do: { command: "next" } }), ParameterValueError, JSON.stringify(time));
+    }
+    assert.deepEqual(automation.rules, []);
+    automation.addRule({ when: { time: { after: "7:30", before: "23:59" } }, do: { command: "next" } });
+  });
+
+  it("removes rules and stops listening", () => {
+    automation.addRule({ name: "a", on: "tick", do: () => { } });
+    automation.addRule({ name: "b", on: "tick", do: () => { } });
+    automation.addRule({ name: "c", on: "tock", do: () => { } });
+    assert.equal(automation.removeRule("a"), true);
+    assert.equal(automation.removeRule("a"), false);
+    assert.equal(cider.listenerCount("tick"), 1);
+    automation.removeRule(automation.rules[0]);
+    assert.equal(cider.listenerCount("tick"), 0);
+    automation.stop();
+    assert.equal(cider.listenerCount("tock"), 0);
+    assert.deepEqual(automation.rules, []);
+  });
+});
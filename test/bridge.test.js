@@ -0,0 +1,114 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HTTPBridge } = require("../ciderws.js");
+const { until, freePort, connect, disconnect } = require("./helpers.js");
+
+describe("HTTPBridge", () => {
+  let server;
+  let cider;
+  let bridge;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({ timeout: 300 }));
+    bridge = new HTTPBridge(cider, { port: await freePort() });
+    await bridge.start();
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+    await disconnect({ server, cider });
+  });
+
+  const call = (method, route, body, headers = {}) => fetch(`http://127.0.0.1:${bridge.options.port}${route}`, {
+    method: method,
+    headers: Object.assign(body ? { "Content-Type": "application/json" } : {}, headers),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  it("serves the current song", async () => {
+    let res = await call("GET", "/now-playing");
+    assert.equal(res.status, 200);
+    let { song } = await res.json();
+    assert.equal(song.title, "Never Gonna Give You Up");
+  });
+
+  it("serves the states and the queue", async () => {
+    let states = await (await call("GET", "/states")).json();
+    assert.equal(states.volume, 1);
+    let queue = await (await call("GET", "/queue")).json();
+    assert.equal(queue.items.length, 4);
+  });
+
+  it("serves the lyrics as JSON or text", async () => {
+    let lyrics = await (await call("GET", "/lyrics")).json();
+    assert.equal(lyrics[1].line, "We're no strangers to love");
+    let res = await call("GET", "/lyrics?format=lrc");
+    assert.match(res.headers.get("content-type"), /^text\/plain/);
+    assert.match(await res.text(), /\[00:18\.50\]We're no strangers to love/);
+  });
+
+  it("searches", async () => {
+    let songs = await (await call("GET", "/search?q=take")).json();
+    assert.equal(songs[0].title, "Take On Me");
+    let results = await (await call("GET", "/search?q=toto&type=song,artist")).json();
+    assert.equal(results.artists[0].name, "TOTO");
+    assert.equal((await call("GET", "/search")).status, 400);
+  });
+
+  it("controls the playback", async () => {
+    assert.equal((await call("POST", "/command/play")).status, 204);
+    await until(() => server.isPlaying);
+    assert.equal((await call("PUT", "/volume", { volume: 0.5 })).status, 204);
+    await until(() => server.volume === 0.5);
+    assert.equal((await call("POST", "/seek", { time: 30 })).status, 204);
+    await until(() => server.elapsed >= 30000);
+  });
+
+  it("answers bad requests with 400", async () => {
+    let res = await call("POST", "/command/explode");
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "ERR_PARAMETER_VALUE");
+    assert.equal((await call("PUT", "/volume", { volume: 2 })).status, 400);
+    assert.equal((await call("PUT", "/volume", undefined, { "Content-Type": "application/json" })).status, 400);
+  });
+
+  it("answers unknown routes with 404", async () => {
+    assert.equal((await call("GET", "/nope")).status, 404);
+    assert.equal((await call("DELETE", "/queue")).status, 404);
+  });
+
+  it("maps Cider's errors to status codes", async () => {
+    server.failNext("get-lyrics");
+    assert.equal((await call("GET", "/lyrics")).status, 501);
+    server.ignoreNext("get-lyrics");
+    assert.equal((await call("GET", "/lyrics")).status, 504);
+    cider.close();
+    assert.equal((await call("GET", "/states")).status, 503);
+  });
+
+  it("checks the token", async () => {
+    bridge.options.token = "secret";
+    assert.equal((await call("GET", "/states")).status, 401);
+    assert.equal((await call("GET", "/states", undefined, { Authorization: "Bearer secret" })).status, 200);
+    assert.equal((await call("GET", "/states?token=secret")).status, 200);
+  });
+
+  it("streams events", async () => {
+    let controller = new AbortController();
+    let res = await fetch(`http://127.0.0.1:${bridge.options.port}/events`, { signal: controller.signal });
+    assert.equal(res.headers.get("content-type"), "text/event-stream");
+    let reader = res.body.getReader();
+    let decoder = new TextDecoder();
+    let received = "";
+    cider.command("next");
+    while (!received.includes("event: songUpdate")) {
+      let { value } = await reader.read();
+      received += decoder.decode(value);
+    }
+    assert.match(received, /"title":"Take On Me"/);
+    controller.abort();
+  });
+});
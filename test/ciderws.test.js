@@ -0,0 +1,314 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Song,
+  States,
+  Album,
+  Artist,
+  ParameterRangeError,
+  ParameterTypeMismatchError,
+  ParameterValueError,
+  MissingParameterError,
+} = require("../ciderws.js");
+const { shortSongs, sleep, until, nextEvent, connect, disconnect } = require("./helpers.js");
+
+describe("CiderWS", () => {
+  let server;
+  let cider;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect());
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  describe("getting the state", () => {
+    it("gets the current song", async () => {
+      let song = await cider.getSong();
+      assert.ok(song instanceof Song);
+      assert.equal(song.title, "Never Gonna Give You Up");
+      assert.equal(song.artist, "Rick Astley");
+      assert.equal(song.id, "1558533900");
+      assert.equal(song.duration, 213573);
+      assert.equal(cider.currentSong, song);
+    });
+
+    it("fetches the song again when asked to", async () => {
+      await cider.getSong();
+      server.position = 1;
+      assert.equal((await cider.getSong()).title, "Never Gonna Give You Up");
+      assert.equal((await cider.getSong(true)).title, "Take On Me");
+    });
+
+    it("gets the states", async () => {
+      server.volume = 0.7;
+      server.repeatMode = 2;
+      let states = await cider.getStates(true);
+      assert.ok(states instanceof States);
+      assert.equal(states.isPlaying, false);
+      assert.equal(states.volume, 0.7);
+      assert.equal(states.repeatMode, 2);
+      assert.equal(states.isShuffling, false);
+    });
+
+    it("gets the queue", async () => {
+      let queue = await cider.getQueue();
+      assert.equal(queue, cider.queue);
+      assert.equal(queue.length, 4);
+      assert.equal(queue.current.title, "Never Gonna Give You Up");
+      assert.deepEqual(queue.upcoming.map(s => s.title), ["Take On Me", "Africa", "Don't Stop Me Now"]);
+    });
+
+    it("updates everything on forceUpdate()", async () => {
+      let songUpdate = nextEvent(cider, "songUpdate");
+      cider.forceUpdate();
+      let [song] = await songUpdate;
+      assert.equal(song.title, "Never Gonna Give You Up");
+    });
+
+    it("reports the connection state", () => {
+      assert.equal(cider.readyState(), 1);
+      assert.equal(cider.isReady, true);
+    });
+  });
+
+  describe("commands", () => {
+    it("plays, pauses and skips", async () => {
+      cider.command("play");
+      await until(() => server.isPlaying);
+      cider.command("pause");
+      await until(() => !server.isPlaying);
+      cider.command("playpause");
+      await until(() => server.isPlaying);
+      cider.command("next");
+      await until(() => server.position === 1);
+      cider.command("previous");
+      await until(() => server.position === 0);
+    });
+
+    it("rejects unknown commands", () => {
+      assert.throws(() => cider.command("explode"), ParameterValueError);
+      assert.throws(() => cider.command(), MissingParameterError);
+      assert.throws(() => cider.command(1), ParameterTypeMismatchError);
+    });
+
+    it("seeks in seconds or milliseconds", async () => {
+      cider.seek(30);
+      await until(() => server.elapsed === 30000);
+      cider.seek(45000, true);
+      await until(() => server.elapsed === 45000);
+      assert.throws(() => cider.seek("30"), ParameterTypeMismatchError);
+    });
+
+    it("sets the volume", async () => {
+      cider.setVolume(0.25);
+      await until(() => server.volume === 0.25);
+      assert.throws(() => cider.setVolume(2), ParameterRangeError);
+      assert.throws(() => cider.setVolume("loud"), ParameterTypeMismatchError);
+    });
+
+    it("mutes and unmutes", async () => {
+      cider.setVolume(0.6);
+      await until(() => server.volume === 0.6);
+      cider.mute(true);
+      await until(() => server.volume === 0);
+      cider.mute(false);
+      await until(() => server.volume === 0.6);
+      assert.throws(() => cider.mute("yes"), ParameterTypeMismatchError);
+    });
+
+    it("sets and cycles the repeat mode", async () => {
+      cider.setRepeat(2);
+      await until(() => server.repeatMode === 2);
+      cider.cycleRepeat();
+      await until(() => server.repeatMode === 0);
+      assert.throws(() => cider.setRepeat(3), ParameterRangeError);
+      assert.throws(() => cider.setRepeat(1.5), ParameterTypeMismatchError);
+    });
+
+    it("sets and toggles shuffle", async () => {
+      cider.setShuffle(true);
+      await until(() => server.shuffleMode === 1);
+      cider.toggleShuffle();
+      await until(() => server.shuffleMode === 0);
+      assert.throws(() => cider.setShuffle(1), ParameterTypeMismatchError);
+    });
+
+    it("sets autoplay", async () => {
+      cider.setAutoplay(true);
+      await until(() => server.autoplay === true);
+      assert.throws(() => cider.setAutoplay("on"), ParameterTypeMismatchError);
+    });
+
+    it("moves songs in the queue", async () => {
+      cider.moveQueue(3, 1);
+      await until(() => server.queue[1].name === "Don't Stop Me Now");
+      assert.throws(() => cider.moveQueue("3", 1), ParameterTypeMismatchError);
+    });
+
+    it("plays and queues by ID", async () => {
+      cider.playNextById("1452859412");
+      await until(() => server.queue[1].name === "Africa");
+      cider.playLaterById("1440841450");
+      await until(() => server.queue.length === 6 && server.queue[5].name === "Take On Me");
+      cider.enqueueById("1558533900");
+      await until(() => server.queue.length === 7);
+      cider.playById("1443153286");
+      await until(() => server.isPlaying && server.current.name === "Don't Stop Me Now");
+      assert.throws(() => cider.playById(1443153286), ParameterTypeMismatchError);
+    });
+
+    it("quits Cider", async () => {
+      let closed = nextEvent(cider, "close");
+      cider.quit();
+      await closed;
+    });
+  });
+
+  describe("events", () => {
+    it("emits play, pause and volumeChange", async () => {
+      await cider.getStates();
+      let play = nextEvent(cider, "play");
+      cider.command("play");
+      await play;
+      let volume = nextEvent(cider, "volumeChange");
+      cider.setVolume(0.5);
+      assert.deepEqual(await volume, [0.5, 1]);
+      let pause = nextEvent(cider, "pause");
+      cider.command("pause");
+      await pause;
+    });
+
+    it("emits songSkip and songUpdate when skipping", async () => {
+      await cider.getSong();
+      let skip = nextEvent(cider, "songSkip");
+      let update = nextEvent(cider, "songUpdate");
+      cider.command("next");
+      let [next, previous] = await skip;
+      assert.equal(next.title, "Take On Me");
+      assert.equal(previous.title, "Never Gonna Give You Up");
+      assert.equal((await update)[0].title, "Take On Me");
+    });
+
+    it("emits seeked", async () => {
+      await cider.getSong();
+      let seeked = nextEvent(cider, "seeked");
+      cider.seek(60);
+      let [to, from] = await seeked;
+      assert.equal(to, 60000);
+      assert.equal(from, 0);
+    });
+
+    it("emits songEnd when a song plays to the end", async () => {
+      await disconnect({ server, cider });
+      ({ server, cider } = await connect({}, { queue: shortSongs }));
+      await cider.getSong();
+      let end = nextEvent(cider, "songEnd", 3000);
+      cider.command("play");
+      let [next, previous] = await end;
+      assert.equal(next.title, "Two");
+      assert.equal(previous.title, "One");
+    });
+
+    it("ticks and estimates the position while playing", async () => {
+      await cider.getSong();
+      assert.equal(cider.getPosition(), 0);
+      cider.command("play");
+      await nextEvent(cider, "tick");
+      await sleep(300);
+      let position = cider.getPosition();
+      assert.ok(position > 100 && position < 1000, `position is ${position}`);
+    });
+
+    it("keeps its own parts working after removeAllListeners()", async () => {
+      await cider.getQueue();
+      cider.removeAllListeners();
+      cider.command("play");
+      await sleep(300);
+      assert.ok(cider.getPosition() > 0);
+      cider.command("next");
+      await until(() => cider.queue.position === 1);
+    });
+  });
+
+  describe("lyrics", () => {
+    it("gets the lyrics", async () => {
+      let lyrics = await cider.getLyricsAdvanced();
+      assert.equal(lyrics[1].line, "We're no strangers to love");
+      assert.equal(lyrics[1].startTime, 18.5);
+      let text = await cider.getLyrics();
+      assert.ok(text.startsWith("We're no strangers to love\n"));
+      assert.ok(!text.includes("lrc"));
+    });
+
+    it("exports the lyrics", async () => {
+      await cider.getSong();
+      let lrc = await cider.exportLyrics("lrc");
+      assert.match(lrc, /\[ti:Never Gonna Give You Up\]/);
+      assert.match(lrc, /\[00:18\.50\]We're no strangers to love/);
+      let srt = await cider.exportLyrics("srt");
+      assert.match(srt, /00:00:18,500 --> 00:00:22,100/);
+      await assert.rejects(cider.exportLyrics("pdf"), ParameterValueError);
+    });
+
+    it("tracks the current line without a listener", async () => {
+      await cider.getSong();
+      assert.equal(cider.currentLyric().index, -1);
+      cider.seek(44);
+      cider.command("play");
+      let lyric = await until(() => cider.currentLyric().line && cider.currentLyric());
+      assert.equal(lyric.line, "Never gonna give you up");
+      assert.equal(lyric.next.line, "Never gonna let you down");
+    });
+  });
+
+  describe("search", () => {
+    it("searches for songs", async () => {
+      let songs = await cider.search("take");
+      assert.equal(songs.length, 1);
+      assert.equal(songs[0].title, "Take On Me");
+      assert.equal(songs[0].id, "1440841450");
+    });
+
+    it("searches for multiple types at once", async () => {
+      let results = await cider.search("toto", ["song", "artist", "album"]);
+      assert.equal(results.songs[0].title, "Africa");
+      assert.ok(results.artists[0] instanceof Artist);
+      assert.equal(results.artists[0].name, "TOTO");
+      assert.equal(results.albums[0].title, "Toto IV");
+      let [album] = await cider.search("jazz", "album");
+      assert.ok(album instanceof Album);
+      assert.equal(album.title, "Jazz");
+    });
+
+    it("pages through the results", async () => {
+      let first = await cider.search("a", "song", 2);
+      let second = await cider.search("a", "song", 2, 2);
+      assert.equal(first.length, 2);
+      assert.notEqual(first[0].id, second[0].id);
+    });
+
+    it("checks the parameters", async () => {
+      await assert.rejects(cider.search("a", "video"), ParameterValueError);
+      await assert.rejects(cider.search("a", []), MissingParameterError);
+      await assert.rejects(cider.search("a", "song", 100), ParameterRangeError);
+    });
+
+    it("plays, queues and enqueues search results", async () => {
+      assert.equal((await cider.playNext("africa")).title, "Africa");
+      await until(() => server.queue[1].name === "Africa");
+      assert.equal((await cider.playLater("queen")).title, "Don't Stop Me Now");
+      await until(() => server.queue[5] && server.queue[5].name === "Don't Stop Me Now");
+      assert.equal((await cider.enqueue("a-ha")).title, "Take On Me");
+      await until(() => server.queue.length === 7);
+      assert.equal((await cider.quickPlay("toto")).title, "Africa");
+      await until(() => server.isPlaying && server.current.name === "Africa");
+      assert.equal(await cider.quickPlay("nothing like this"), null);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { shortSongs, freePort, startServer } = require("./helpers.js");
+
+const bin = path.join(__dirname, "..", "bin", "ciderws.js");
+
+/**
+ * Runs the CLI and resolves with its exit code and output
+ * @param {string[]} args
+ */
+function cli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [bin, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe("ciderws CLI", () => {
+  let server;
+  let options;
+
+  beforeEach(async () => {
+    server = await startServer({ queue: shortSongs });
+    options = ["--port", String(server.options.port), "--protocol", "legacy", "--timeout", "2000"];
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it("prints the help", async () => {
+    let { code, stdout } = await cli(["--help"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: ciderws/);
+  });
+
+  it("prints the current song", async () => {
+    let { code, stdout } = await cli(["now-playing", ...options]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^⏸ One - Band \(First Album\) \[0:00\/0:02\]/);
+  });
+
+  it("prints JSON", async () => {
+    let { stdout } = await cli(["now-playing", "--json", ...options]);
+    let { song, playback } = JSON.parse(stdout);
+    assert.equal(song.title, "One");
+    assert.equal(playback.isPlaying, false);
+  });
+
+  it("prints and sets the volume", async () => {
+    assert.equal((await cli(["volume", ...options])).stdout, "Volume: 100%\n");
+    assert.equal((await cli(["volume", "0.3", ...options])).code, 0);
+    assert.equal(server.volume, 0.3);
+    assert.deepEqual(JSON.parse((await cli(["volume", "--json", ...options])).stdout), { volume: 0.3 });
+  });
+
+  it("controls playback and modes", async () => {
+    await cli(["play", ...options]);
+    assert.equal(server.isPlaying, true);
+    await cli(["repeat", "all", ...options]);
+    assert.equal(server.repeatMode, 2);
+    assert.equal((await cli(["repeat", ...options])).stdout, "Repeat: all\n");
+  });
+
+  it("prints the queue", async () => {
+    let { stdout } = await cli(["queue", ...options]);
+    let lines = stdout.trim().split("\n");
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^>\s+0\s+One - Band \[0:02\]$/);
+  });
+
+  it("fails on bad input", async () => {
+    let unknown = await cli(["dance", ...options]);
+    assert.equal(unknown.code, 1);
+    assert.match(unknown.stderr, /Unknown command "dance"/);
+    let repeat = await cli(["repeat", "twice", ...options]);
+    assert.equal(repeat.code, 1);
+    assert.match(repeat.stderr, /Unknown repeat mode "twice"/);
+  });
+
+  it("fails fast without Cider", async () => {
+    let start = Date.now();
+    let { code, stderr } = await cli(["play", "--port", String(await freePort()), "--protocol", "legacy"]);
+    assert.equal(code, 1);
+    assert.match(stderr, /Could not connect to Cider/);
+    assert.ok(Date.now() - start < 5000);
+  });
+});
@@ -0,0 +1,188 @@
+"use strict";
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CiderWS,
+  WebsocketConnectionError,
+  TimeoutError,
+  CiderActionError,
+  ActionDroppedError,
+} = require("../ciderws.js");
+const { sleep, until, nextEvent, freePort, startServer, connect, disconnect } = require("./helpers.js");
+
+describe("connection", () => {
+  let server;
+  let cider;
+
+  afterEach(async () => {
+    if (cider) cider.close();
+    if (server) await server.stop();
+    server = undefined;
+    cider = undefined;
+  });
+
+  describe("without Cider", () => {
+    it("throws on actions while not connected", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy" });
+      assert.throws(() => cider.command("play"), WebsocketConnectionError);
+      await assert.rejects(cider.getSong(), { code: "ERR_NOT_CONNECTED" });
+    });
+
+    it("rejects whenReady() once the connection fails for good", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy" });
+      await assert.rejects(cider.whenReady(2000), WebsocketConnectionError);
+      // and right away once it's known
+      await assert.rejects(cider.whenReady(), WebsocketConnectionError);
+    });
+
+    it("rejects whenReady() after a timeout", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000 });
+      await assert.rejects(cider.whenReady(100), TimeoutError);
+    });
+
+    it("rejects whenReady() on close()", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000 });
+      let ready = cider.whenReady();
+      cider.close();
+      await assert.rejects(ready, WebsocketConnectionError);
+    });
+  });
+
+  describe("failing requests", () => {
+    it("times out when Cider doesn't answer", async () => {
+      ({ server, cider } = await connect());
+      server.ignoreNext("get-lyrics");
+      let start = Date.now();
+      await assert.rejects(cider.getLyrics(200), TimeoutError);
+      assert.ok(Date.now() - start < 1000);
+      // the next one works again
+      assert.ok((await cider.getLyrics()).length > 0);
+    });
+
+    it("rejects requests Cider doesn't know", async () => {
+      ({ server, cider } = await connect());
+      server.failNext("get-queue");
+      await assert.rejects(cider.getQueue(), (error) => {
+        assert.ok(error instanceof CiderActionError);
+        assert.equal(error.code, "ERR_ACTION_NOT_FOUND");
+        return true;
+      });
+    });
+
+    it("emits an error for actions Cider doesn't know", async () => {
+      ({ server, cider } = await connect());
+      let error = nextEvent(cider, "error");
+      server.failNext("play");
+      cider.command("play");
+      assert.ok((await error)[0] instanceof CiderActionError);
+    });
+
+    it("rejects pending requests when the connection drops", async () => {
+      ({ server, cider } = await connect());
+      server.ignoreNext("get-queue");
+      let queue = cider.getQueue();
+      await sleep(50);
+      server.dropConnections();
+      await assert.rejects(queue, WebsocketConnectionError);
+    });
+  });
+
+  describe("reconnecting", () => {
+    it("reconnects after the connection drops", async () => {
+      ({ server, cider } = await connect({ reconnect: true, retryDelay: 50, jitter: 0 }));
+      let reconnecting = nextEvent(cider, "reconnecting");
+      let reconnected = nextEvent(cider, "reconnected");
+      server.dropConnections();
+      let [attempt, delay] = await reconnecting;
+      assert.equal(attempt, 1);
+      assert.equal(delay, 50);
+      await reconnected;
+      cider.setVolume(0.3);
+      await until(() => server.volume === 0.3);
+    });
+
+    it("keeps trying while Cider is gone", async () => {
+      ({ server, cider } = await connect({ reconnect: true, retryDelay: 50, jitter: 0 }));
+      let port = server.options.port;
+      await server.stop();
+      await nextEvent(cider, "reconnecting");
+      await sleep(100);
+      server = await startServer({ port });
+      await cider.whenReady(2000);
+      assert.equal(cider.readyState(), 1);
+    });
+
+    it("gives up after maxRetries", async () => {
+      let gaveUp;
+      ({ server, cider } = await connect({ reconnect: true, retryDelay: 10, jitter: 0, maxRetries: 2, onGiveUp: (attempts) => { gaveUp = attempts; } }));
+      await server.stop();
+      server = undefined;
+      await until(() => gaveUp !== undefined);
+      assert.equal(gaveUp, 2);
+      await assert.rejects(cider.whenReady(), WebsocketConnectionError);
+    });
+
+    it("doesn't reconnect after close()", async () => {
+      ({ server, cider } = await connect({ reconnect: true, retryDelay: 10 }));
+      cider.on("reconnecting", () => assert.fail("reconnecting after close()"));
+      cider.close();
+      await sleep(100);
+      assert.equal(cider.readyState(), 3);
+    });
+  });
+
+  describe("buffering", () => {
+    it("sends buffered actions once connected", async () => {
+      let port = await freePort();
+      cider = new CiderWS("localhost", port, { protocol: "legacy", reconnect: true, retryDelay: 50, jitter: 0, buffer: true });
+      cider.setVolume(0.4);
+      let song = cider.getSong();
+      server = await startServer({ port });
+      assert.equal((await song).title, "Never Gonna Give You Up");
+      await until(() => server.volume === 0.4);
+    });
+
+    it("times out buffered requests while still disconnected", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000, buffer: true });
+      let start = Date.now();
+      await assert.rejects(cider.getSong(false, 150), TimeoutError);
+      assert.ok(Date.now() - start < 1000);
+    });
+
+    it("drops buffered actions after bufferMaxAge", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000, buffer: true, bufferMaxAge: 100 });
+      let error = nextEvent(cider, "error");
+      cider.command("play");
+      let [dropped] = await error;
+      assert.ok(dropped instanceof ActionDroppedError);
+      assert.equal(cider.buffered.length, 0);
+    });
+
+    it("drops the oldest action when the buffer is full", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000, buffer: true, bufferSize: 2 });
+      let error = nextEvent(cider, "error");
+      cider.command("play");
+      cider.command("next");
+      cider.command("pause");
+      assert.equal((await error)[0].action, "play");
+      assert.deepEqual(cider.buffered.map(e => e.payload.action), ["next", "pause"]);
+    });
+
+    it("rejects buffered requests on close()", async () => {
+      cider = new CiderWS("localhost", await freePort(), { protocol: "legacy", reconnect: true, retryDelay: 1000, buffer: true });
+      let song = cider.getSong();
+      cider.close();
+      await assert.rejects(song, ActionDroppedError);
+    });
+  });
+
+  it("closes cleanly", async () => {
+    ({ server, cider } = await connect());
+    let closed = nextEvent(cider, "close");
+    await disconnect({ server, cider });
+    await closed;
+    server = undefined;
+  });
+});
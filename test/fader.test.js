@@ -0,0 +1,122 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ParameterRangeError, ParameterValueError } = require("../ciderws.js");
+const { sleep, until, connect, disconnect } = require("./helpers.js");
+
+describe("Fader", () => {
+  let server;
+  let cider;
+  let volumes;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect());
+    server.volume = 0.8;
+    await cider.getStates(true);
+    volumes = [];
+    server.on("action", (d) => { if (d.action === "volume") volumes.push(d.volume); });
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  it("fades to a volume in steps", async () => {
+    assert.equal(await cider.fadeTo(0.2, 300), true);
+    await until(() => server.volume === 0.2);
+    assert.ok(volumes.length > 2, `only ${volumes.length} steps`);
+    for (let i = 1; i < volumes.length; i++) assert.ok(volumes[i] <= volumes[i - 1]);
+  });
+
+  it("takes curves", async () => {
+    assert.equal(await cider.fadeTo(0.4, 200, "ease-in"), true);
+    assert.equal(await cider.fadeTo(0.6, 200, (t) => t), true);
+    await until(() => server.volume === 0.6);
+    await assert.rejects(cider.fadeTo(0.5, 200, "wobbly"), ParameterValueError);
+    await assert.rejects(cider.fadeTo(1.5, 200), ParameterRangeError);
+  });
+
+  it("fades out, pauses and puts the volume back", async () => {
+    cider.command("play");
+    await until(() => server.isPlaying);
+    assert.equal(await cider.fadeOut(200), true);
+    await until(() => !server.isPlaying && server.volume === 0.8);
+    assert.ok(volumes.includes(0));
+  });
+
+  it("fades in from silence", async () => {
+    assert.equal(await cider.fadeIn(200), true);
+    await until(() => server.isPlaying && server.volume === 0.8);
+    assert.equal(volumes[0], 0);
+    assert.equal(volumes[volumes.length - 1], 0.8);
+    let steps = volumes.filter(v => v > 0 && v < 0.8);
+    assert.ok(steps.length >= 2, `only went through ${volumes.join(", ")}`);
+    for (let i = 1; i < volumes.length; i++) assert.ok(volumes[i] >= volumes[i - 1]);
+  });
+
+  it("ducks and restores the volume", async () => {
+    let ducked = cider.duck(0.2, 200, 100);
+    await until(() => server.volume === 0.2);
+    assert.equal(await ducked, true);
+    await until(() => server.volume === 0.8);
+  });
+
+  it("is cancelled by cancelFade()", async () => {
+    let fade = cider.fadeTo(0, 1000);
+    await sleep(200);
+    cider.cancelFade();
+    assert.equal(await fade, false);
+    // the last step might still be on its way
+    await sleep(50);
+    let volume = server.volume;
+    await sleep(200);
+    assert.equal(server.volume, volume);
+    assert.ok(volume > 0 && volume < 0.8);
+  });
+
+  it("is cancelled by setVolume()", async () => {
+    let fade = cider.fadeTo(0, 1000);
+    await sleep(200);
+    cider.setVolume(0.5);
+    assert.equal(await fade, false);
+    await sleep(200);
+    assert.equal(server.volume, 0.5);
+  });
+
+  it("is cancelled by mute()", async () => {
+    let ducked = cider.duck(0.2, 500, 100);
+    await until(() => server.volume === 0.2);
+    cider.mute(true);
+    assert.equal(await ducked, false);
+    await sleep(200);
+    assert.equal(server.volume, 0);
+  });
+
+  it("is cancelled by a volume change in Cider", async () => {
+    let fade = cider.fadeTo(0, 1000);
+    await sleep(200);
+    server.volume = 0.9;
+    server.sendState();
+    assert.equal(await fade, false);
+  });
+
+  it("lets the later of two back-to-back fades win", async () => {
+    let first = cider.fadeTo(0, 200);
+    let second = cider.fadeTo(0.5, 200);
+    assert.equal(await first, false);
+    assert.equal(await second, true);
+    await until(() => server.volume === 0.5);
+    assert.ok(volumes.every(v => v >= 0.5), `went through ${volumes.join(", ")}`);
+  });
+
+  it("is cancelled by the next fade", async () => {
+    let first = cider.fadeTo(0, 1000);
+    await sleep(100);
+    let second = cider.fadeTo(1, 200);
+    assert.equal(await first, false);
+    assert.equal(await second, true);
+    await until(() => server.volume === 1);
+  });
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const net = require('net');
+
+const { CiderWS } = require("../ciderws.js");
+const { MockCiderServer, mockSong } = require("../src/mockserver.js");
+
+/**
+ * Short songs, so the tests don't have to wait minutes for a song to end
+ */
+const shortSongs = [
+  mockSong("1", "One", "Band", "First Album", 1500, ["Pop"]),
+  mockSong("2", "Two", "Band", "First Album", 1500, ["Pop"]),
+  mockSong("3", "Three", "Other Band", "Second Album", 1500, ["Rock"]),
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until `check` returns something truthy
+ * @param {function} check
+ * @param {number} [timeout = 2000]
+ */
+async function until(check, timeout = 2000) {
+  let deadline = Date.now() + timeout;
+  while (true) {
+    let result = await check();
+    if (result) return result;
+    if (Date.now() >= deadline) throw new Error(`Condition not met within ${timeout}ms: ${check}`);
+    await sleep(10);
+  }
+}
+
+/**
+ * Waits for an event, resolving with its arguments
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {number} [timeout = 2000]
+ */
+function nextEvent(emitter, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`No ${event} event within ${timeout}ms`));
+    }, timeout);
+    let listener = (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    };
+    emitter.once(event, listener);
+  });
+}
+
+/**
+ * Finds a port nobody is listening on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    let server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, () => {
+      let { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts a MockCiderServer on a free port
+ * @param {object} [options] MockCiderServer options
+ */
+async function startServer(options = {}) {
+  let server = new MockCiderServer(Object.assign({ port: await freePort(), tickInterval: 100 }, options));
+  await server.start();
+  return server;
+}
+
+/**
+ * Starts a MockCiderServer and connects a CiderWS instance to it
+ * @param {object} [options] CiderWS options
+ * @param {object} [serverOptions] MockCiderServer options
+ * @returns {Promise<{ server: MockCiderServer, cider: CiderWS }>}
+ */
+async function connect(options = {}, serverOptions = {}) {
+  let server = await startServer(serverOptions);
+  let cider = new CiderWS("localhost", server.options.port, Object.assign({ protocol: "legacy", timeout: 2000 }, options));
+  await cider.whenReady(2000);
+  return { server, cider };
+}
+
+/**
+ * Closes both ends again
+ */
+async function disconnect({ server, cider }) {
+  cider.close();
+  await server.stop();
+}
+
+module.exports = { shortSongs, sleep, until, nextEvent, freePort, startServer, connect, disconnect };
@@ -0,0 +1,66 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toLRC, toSRT, toVTT, parseLRC } = require("../ciderws.js");
+
+const lines = [
+  { startTime: 0, endTime: 0, line: "lrc", translation: "" },
+  { startTime: 1.5, endTime: 3, line: "Hello", translation: "Hallo" },
+  { startTime: 3, endTime: 4.25, line: "World", translation: "" },
+  { startTime: 65.5, endTime: 70, line: "Again", translation: "Nochmal" },
+];
+
+describe("lyrics formats", () => {
+  it("writes LRC with pauses", () => {
+    assert.equal(toLRC(lines), "[00:01.50]Hello\n[00:03.00]World\n[00:04.25]\n[01:05.50]Again\n[01:10.00]\n");
+  });
+
+  it("writes LRC tags and translations", () => {
+    let song = { title: "Song", artist: "Band", album: "Album", duration: 213573 };
+    let lrc = toLRC(lines, { song, translation: true }).split("\n");
+    assert.deepEqual(lrc.slice(0, 6), ["[ti:Song]", "[ar:Band]", "[al:Album]", "[length:03:33]", "[00:01.50]Hello", "[00:01.50]Hallo"]);
+    assert.deepEqual(toLRC(lines, { translation: "only" }).split("\n").filter(l => /\]./.test(l)), ["[00:01.50]Hallo", "[00:03.00]World", "[01:05.50]Nochmal"]);
+  });
+
+  it("writes SRT", () => {
+    assert.equal(toSRT(lines, { translation: true }), [
+      "1\n00:00:01,500 --> 00:00:03,000\nHello\nHallo\n",
+      "2\n00:00:03,000 --> 00:00:04,250\nWorld\n",
+      "3\n00:01:05,500 --> 00:01:10,000\nAgain\nNochmal\n",
+    ].join("\n"));
+  });
+
+  it("writes WebVTT", () => {
+    assert.equal(toVTT(lines, { translation: "only" }), [
+      "WEBVTT\n",
+      "00:00:01.500 --> 00:00:03.000\nHallo\n",
+      "00:00:03.000 --> 00:00:04.250\nWorld\n",
+      "00:01:05.500 --> 00:01:10.000\nNochmal\n",
+    ].join("\n"));
+  });
+
+  it("handles missing lyrics", () => {
+    assert.equal(toSRT([]), "");
+    assert.equal(toVTT(undefined), "WEBVTT\n");
+  });
+});
+
+describe("parseLRC", () => {
+  it("reads what toLRC writes", () => {
+    assert.deepEqual(parseLRC(toLRC(lines, { translation: true })), lines.slice(1));
+  });
+
+  it("fills in the ends", () => {
+    assert.deepEqual(parseLRC("[ti:Song]\r\n[00:01.00]One\r\n[00:02.50]Two\r\n"), [
+      { startTime: 1, endTime: 2.5, line: "One", translation: "" },
+      { startTime: 2.5, endTime: 7.5, line: "Two", translation: "" },
+    ]);
+  });
+
+  it("repeats lines with several timestamps", () => {
+    let parsed = parseLRC("[00:10.00][00:30.00]Chorus\n[00:20.00]Verse\n[00:40.00]\n");
+    assert.deepEqual(parsed.map(l => `${l.startTime}-${l.endTime} ${l.line}`), ["10-20 Chorus", "20-30 Verse", "30-40 Chorus"]);
+  });
+});
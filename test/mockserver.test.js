@@ -0,0 +1,30 @@
+"use strict";
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MockCiderServer } = require("../src/mockserver.js");
+const { startServer } = require("./helpers.js");
+
+describe("MockCiderServer", () => {
+  it("doesn't keep ticking if the port is taken", async () => {
+    let first = await startServer();
+    let second = new MockCiderServer({ port: first.options.port });
+    await assert.rejects(second.start(), { code: "EADDRINUSE" });
+    assert.equal(second.ticker, undefined);
+    assert.equal(second.server, undefined);
+    await second.stop();
+    await first.stop();
+  });
+
+  it("plays through the queue", async () => {
+    let server = await startServer({ queue: [], tickInterval: 20 });
+    assert.equal(server.current, undefined);
+    server.queue.push(...new MockCiderServer().queue.slice(0, 2));
+    server.isPlaying = true;
+    server.elapsed = server.current.durationInMillis - 10;
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(server.position, 1);
+    await server.stop();
+  });
+});
@@ -0,0 +1,147 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { NowPlayingWriter, compileTemplate, formatTemplate, ParameterValueError } = require("../ciderws.js");
+const { mockSong } = require("../src/mockserver.js");
+const { sleep, until, freePort, connect, disconnect } = require("./helpers.js");
+
+const context = {
+  song: { title: "Never Gonna Give You Up", artist: "Rick Astley", album: "Whenever You Need Somebody", duration: 213573, genre: ["Pop", "Music"] },
+  states: { volume: 0.5, isShuffling: true, repeatMode: 2, autoplay: false, isPlaying: true },
+  playback: { isPlaying: true, elapsedTime: 60000 },
+  position: 65000,
+};
+
+describe("templates", () => {
+  it("fills in the fields", () => {
+    assert.equal(formatTemplate("{artist} - {title} [{elapsed}/{duration}]", context), "Rick Astley - Never Gonna Give You Up [1:05/3:34]");
+    assert.equal(formatTemplate("{genre} {progress}% {status} {volume} {shuffle} {repeat} {autoplay}", context), "Pop 30% playing 50 on all off");
+    assert.equal(formatTemplate("{remaining} {elapsedMs}", Object.assign({}, context, { position: undefined })), "2:34 60000");
+    assert.equal(formatTemplate("{{{title}}}", context), "{Never Gonna Give You Up}");
+  });
+
+  it("leaves out what isn't known", () => {
+    assert.equal(formatTemplate("[{title}|{status}|{volume}]", {}), "[||]");
+    assert.equal(formatTemplate("{album|default:Single}", { song: { album: "" } }), "Single");
+  });
+
+  it("runs the filters in order", () => {
+    assert.equal(formatTemplate("{title|truncate:10}", context), "Never Gon…");
+    assert.equal(formatTemplate("{title|truncate:10:...}", context), "Never G...");
+    assert.equal(formatTemplate("{artist|truncate:50}", context), "Rick Astley");
+    assert.equal(formatTemplate("[{volume|padStart:3}] [{volume|pad:4:.}]", context), "[ 50] [50..]");
+    assert.equal(formatTemplate("{artist|upper|truncate:4}", context), "RIC…");
+    assert.equal(formatTemplate("{artist|lower}", context), "rick astley");
+    assert.equal(formatTemplate("[{title|trim}]", { song: { title: "  x " } }), "[x]");
+  });
+
+  it("can be compiled once and filled in often", () => {
+    let template = compileTemplate("{title} {elapsed}");
+    assert.equal(template(context), "Never Gonna Give You Up 1:05");
+    assert.equal(template(Object.assign({}, context, { position: 0 })), "Never Gonna Give You Up 0:00");
+  });
+
+  it("throws on mistakes right away", () => {
+    assert.throws(() => compileTemplate("{tilte}"), ParameterValueError);
+    assert.throws(() => compileTemplate("{title|shout}"), ParameterValueError);
+    assert.throws(() => compileTemplate("{title|truncate}"), ParameterValueError);
+    assert.throws(() => compileTemplate("{title|truncate:}"), ParameterValueError);
+    assert.throws(() => compileTemplate("{title|pad:wide}"), { name: "ParameterValueError", value: "wide" });
+    assert.throws(() => compileTemplate("{volume|padStart:-3}"), ParameterValueError);
+  });
+});
+
+describe("NowPlayingWriter", () => {
+  let server;
+  let cider;
+  let images;
+  let dir;
+  let writer;
+
+  beforeEach(async () => {
+    let port = await freePort();
+    images = http.createServer((req, res) => {
+      if (req.url === "/missing.jpg") {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.end(`image ${req.url}`);
+    });
+    await new Promise(resolve => images.listen(port, "127.0.0.1", resolve));
+
+    let songs = ["One", "Two", "Missing"].map((name, i) => {
+      let song = mockSong(String(i + 1), name, "Band", "Album", 60000, ["Pop"]);
+      song.artwork = { url: `http://127.0.0.1:${port}/${name === "Missing" ? "missing" : "{w}x{h}-" + name}.jpg`, width: 100, height: 100 };
+      return song;
+    });
+    ({ server, cider } = await connect({}, { queue: songs }));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ciderws-"));
+  });
+
+  afterEach(async () => {
+    if (writer) writer.stop();
+    await disconnect({ server, cider });
+    await new Promise(resolve => images.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const read = (name) => {
+    try {
+      return fs.readFileSync(path.join(dir, name), "utf8");
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  it("keeps the files up to date", async () => {
+    await cider.getSong();
+    writer = new NowPlayingWriter(cider, {
+      files: {
+        [path.join(dir, "song.txt")]: "{artist} - {title}",
+        [path.join(dir, "status.txt")]: "{status|upper}",
+      },
+      artwork: path.join(dir, "cover.jpg"),
+      idle: "-",
+    });
+    await until(() => read("song.txt") === "Band - One" && read("status.txt") === "PAUSED");
+    await until(() => read("cover.jpg") === "image /100x100-One.jpg");
+
+    cider.command("play");
+    await until(() => read("status.txt") === "PLAYING");
+    cider.command("next");
+    await until(() => read("song.txt") === "Band - Two" && read("cover.jpg") === "image /100x100-Two.jpg");
+    // nothing but temporary files would show up here
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["cover.jpg", "song.txt", "status.txt"]);
+
+    cider.close();
+    await until(() => read("song.txt") === "-" && read("status.txt") === "-");
+  });
+
+  it("only writes what changed", async () => {
+    await cider.getSong();
+    let file = path.join(dir, "song.txt");
+    writer = new NowPlayingWriter(cider, { files: { [file]: "{title}" } });
+    await until(() => read("song.txt") === "One");
+    fs.writeFileSync(file, "touched");
+    cider.command("play");
+    await sleep(300);
+    assert.equal(read("song.txt"), "touched");
+  });
+
+  it("reports failed downloads and keeps going", async () => {
+    let errors = [];
+    cider.on("error", (error) => errors.push(error));
+    writer = new NowPlayingWriter(cider, { files: { [path.join(dir, "song.txt")]: "{title}" }, artwork: path.join(dir, "cover.jpg") });
+    cider.command("next");
+    cider.command("next");
+    await until(() => read("song.txt") === "Missing");
+    await until(() => errors.length === 1);
+    assert.match(errors[0].message, /status 404/);
+  });
+});
@@ -0,0 +1,232 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { Presence, StubTransport, DiscordIPCTransport } = require("../ciderws.js");
+const { shortSongs, sleep, until, nextEvent, connect, disconnect } = require("./helpers.js");
+
+describe("Presence", () => {
+  let server;
+  let cider;
+  let transport;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({}, { queue: shortSongs }));
+    await cider.getSong();
+    transport = new StubTransport();
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  it("shows the current song", async () => {
+    let presence = new Presence(cider, { transport, throttle: 100 });
+    let [activity] = await nextEvent(presence, "update");
+    assert.equal(activity.type, 2);
+    assert.equal(activity.details, "One");
+    assert.equal(activity.state, "by Band");
+    assert.equal(activity.assets.large_text, "First Album");
+    assert.equal(activity.assets.small_text, "Paused");
+    assert.deepEqual(transport.activities, [activity]);
+
+    let playing = nextEvent(presence, "update");
+    cider.command("play");
+    let [update] = await playing;
+    assert.equal(update.timestamps.end - update.timestamps.start, 1500);
+    await presence.stop();
+    assert.equal(transport.cleared, 1);
+  });
+
+  it("doesn't send more than it has to", async () => {
+    let presence = new Presence(cider, { transport, throttle: 300 });
+    let times = [];
+    presence.on("update", () => times.push(Date.now()));
+    cider.command("play");
+    // ticks every 100ms, but only the state and the song change
+    await until(() => transport.activities.some(a => a.details === "Two"), 3000);
+    await sleep(400);
+    await presence.stop();
+    assert.deepEqual(transport.activities.map(a => a.details), ["One", "One", "Two"]);
+    for (let i = 1; i < times.length; i++) assert.ok(times[i] - times[i - 1] >= 290, `updates ${times[i] - times[i - 1]}ms apart`);
+  });
+
+  it("clears the activity while paused if asked to", async () => {
+    let presence = new Presence(cider, { transport, throttle: 0, showPaused: false });
+    await sleep(50);
+    assert.deepEqual(transport.activities, []);
+    cider.command("play");
+    await nextEvent(presence, "update");
+    let cleared = nextEvent(presence, "update");
+    cider.command("pause");
+    assert.deepEqual(await cleared, [null]);
+    assert.equal(transport.cleared, 1);
+    await presence.stop();
+  });
+
+  it("fits the texts into what Discord takes", () => {
+    let presence = new Presence(cider, { transport });
+    let song = { title: "x".repeat(200), artist: "A", album: "B", duration: 1000 };
+    let activity = presence.buildActivity(song, undefined, undefined);
+    assert.equal(activity.details.length, 128);
+    assert.ok(activity.details.endsWith("…"));
+    assert.equal(activity.assets.large_text, "B ");
+    presence.stop();
+  });
+
+  it("passes transport errors on", async () => {
+    transport.setActivity = () => Promise.reject(new Error("no Discord"));
+    let error = nextEvent(cider, "error");
+    let presence = new Presence(cider, { transport });
+    assert.equal((await error)[0].message, "no Discord");
+    presence.stop();
+  });
+});
+
+/**
+ * @returns {Buffer} An IPC frame
+ */
+function frame(op, data) {
+  let json = Buffer.from(JSON.stringify(data));
+  let header = Buffer.alloc(8);
+  header.writeInt32LE(op, 0);
+  header.writeInt32LE(json.length, 4);
+  return Buffer.concat([header, json]);
+}
+
+/**
+ * Plays Discord on a local socket, answering with what `answer(op, message)` returns (a frame or nothing)
+ */
+async function fakeDiscord(file, answer) {
+  let received = [];
+  let sockets = [];
+  let server = net.createServer((socket) => {
+    sockets.push(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 8 && buffer.length >= 8 + buffer.readInt32LE(4)) {
+        let op = buffer.readInt32LE(0);
+        let message = JSON.parse(buffer.subarray(8, 8 + buffer.readInt32LE(4)).toString());
+        buffer = buffer.subarray(8 + buffer.readInt32LE(4));
+        received.push({ op, message });
+        let reply = answer(op, message);
+        if (reply) socket.write(reply);
+      }
+    });
+    socket.on("error", () => { });
+  });
+  await new Promise(resolve => server.listen(file, resolve));
+  return {
+    received,
+    sockets,
+    close: () => new Promise(resolve => {
+      for (let socket of sockets) socket.destroy();
+      server.close(resolve);
+    }),
+  };
+}
+
+describe("DiscordIPCTransport", () => {
+  let dir;
+  let file;
+  let discord;
+  let transport;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ciderws-"));
+    file = path.join(dir, "discord-ipc-0");
+  });
+
+  afterEach(async () => {
+    if (transport) transport.close();
+    if (discord) await discord.close();
+    discord = undefined;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // answers the handshake and echoes commands, the way Discord does
+  const echo = (op, message) => {
+    if (op === 0) return frame(1, { cmd: "DISPATCH", evt: "READY", data: { v: 1 } });
+    if (op === 1) return frame(1, { cmd: message.cmd, evt: null, nonce: message.nonce, data: message.args.activity || null });
+  };
+
+  it("does the handshake and sends activities in frames", async () => {
+    discord = await fakeDiscord(file, echo);
+    transport = new DiscordIPCTransport("1234", { path: file });
+    let activity = { type: 2, details: "One" };
+    assert.deepEqual(await transport.setActivity(activity), activity);
+    await transport.clearActivity();
+
+    let [handshake, set, clear] = discord.received;
+    assert.deepEqual(handshake, { op: 0, message: { v: 1, client_id: "1234" } });
+    assert.deepEqual(set, { op: 1, message: { cmd: "SET_ACTIVITY", args: { pid: process.pid, activity }, nonce: "1" } });
+    assert.deepEqual(clear.message.args, { pid: process.pid });
+    assert.equal(discord.sockets.length, 1);
+  });
+
+  it("reads frames split up and glued together", async () => {
+    let replies = [];
+    discord = await fakeDiscord(file, (op, message) => {
+      if (op === 0) {
+        // in pieces, the first one not even a whole header
+        let bytes = echo(op, message);
+        let socket = discord.sockets[0];
+        socket.write(bytes.subarray(0, 3));
+        setTimeout(() => socket.write(bytes.subarray(3, 10)), 20);
+        setTimeout(() => socket.write(bytes.subarray(10)), 40);
+        return;
+      }
+      replies.push(echo(op, message));
+      if (replies.length === 2) discord.sockets[0].write(Buffer.concat(replies));
+    });
+    transport = new DiscordIPCTransport("1234", { path: file });
+    let results = await Promise.all([transport.setActivity({ details: "A" }), transport.setActivity({ details: "B" })]);
+    assert.deepEqual(results.map(r => r.details), ["A", "B"]);
+  });
+
+  it("rejects what Discord rejects", async () => {
+    discord = await fakeDiscord(file, (op, message) => {
+      if (op === 0) return echo(op, message);
+      return frame(1, { cmd: message.cmd, evt: "ERROR", nonce: message.nonce, data: { code: 4000, message: "child \"activity\" fails" } });
+    });
+    transport = new DiscordIPCTransport("1234", { path: file });
+    await assert.rejects(transport.setActivity({}), /child "activity" fails/);
+  });
+
+  it("times out without an answer", async () => {
+    discord = await fakeDiscord(file, () => { });
+    transport = new DiscordIPCTransport("1234", { path: file, timeout: 100 });
+    await assert.rejects(transport.setActivity({}), /did not answer the handshake/);
+  });
+
+  it("connects again after losing Discord", async () => {
+    discord = await fakeDiscord(file, echo);
+    transport = new DiscordIPCTransport("1234", { path: file });
+    await transport.setActivity({ details: "A" });
+    discord.sockets[0].write(frame(2, { code: 1000, message: "bye" }));
+    await sleep(50);
+    await transport.setActivity({ details: "B" });
+    assert.equal(discord.sockets.length, 2);
+    assert.equal(discord.received.filter(r => r.op === 0).length, 2);
+  });
+
+  it("says goodbye when closed", async () => {
+    discord = await fakeDiscord(file, echo);
+    transport = new DiscordIPCTransport("1234", { path: file });
+    await transport.setActivity({ details: "A" });
+    transport.close();
+    await sleep(50);
+    assert.equal(discord.received[discord.received.length - 1].op, 2);
+  });
+
+  it("fails if Discord isn't running", async () => {
+    transport = new DiscordIPCTransport("1234", { path: file });
+    await assert.rejects(transport.setActivity({}), { code: "ENOENT" });
+  });
+});
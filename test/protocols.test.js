@@ -0,0 +1,217 @@
+"use strict";
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+
+const { CiderWS, RPCProtocol, UnsupportedActionError } = require("../ciderws.js");
+const { detectRPC } = require("../src/protocols.js");
+const { shortSongs, until, nextEvent, freePort, startServer } = require("./helpers.js");
+
+/**
+ * A tiny stand-in for Cider 2: the REST API over HTTP and playback events over Socket.IO
+ */
+class FakeRPCServer {
+  constructor() {
+    this.requests = [];
+    this.failing = new Set();
+    this.position = 0;
+    this.volume = 0.5;
+    this.playing = false;
+    this.modes = { "repeat-mode": 0, "shuffle-mode": 0, "autoplay": false };
+    this.http = http.createServer((req, res) => this.handle(req, res));
+    this.io = new Server(this.http);
+  }
+
+  get current() {
+    return shortSongs[this.position];
+  }
+
+  async start() {
+    this.port = await freePort();
+    await new Promise(resolve => this.http.listen(this.port, "127.0.0.1", resolve));
+  }
+
+  stop() {
+    this.io.disconnectSockets(true);
+    let closed = new Promise(resolve => this.io.close(() => resolve()));
+    // the REST calls use keep-alive connections
+    this.http.closeAllConnections();
+    return closed;
+  }
+
+  playback(type, data) {
+    this.io.emit("API:Playback", { type, data });
+  }
+
+  handle(req, res) {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      let body = raw ? JSON.parse(raw) : {};
+      this.requests.push({ method: req.method, path: req.url, body, token: req.headers.apptoken });
+      let answer = this.failing.has(req.url) ? undefined : this.answer(req.method, req.url.replace("/api/v1/playback/", ""), body);
+
+      if (!answer) {
+        res.writeHead(this.failing.has(req.url) ? 500 : 404);
+        return res.end();
+      }
+      res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify(answer));
+    });
+  }
+
+  answer(method, path, body) {
+    let modes = { "toggle-repeat": "repeat-mode", "toggle-shuffle": "shuffle-mode", "toggle-autoplay": "autoplay" };
+
+    if (method === "GET") {
+      switch (path) {
+        case "active": return { status: "ok", is_active: true };
+        case "now-playing": return { status: "ok", info: Object.assign({ currentPlaybackTime: 0.3 }, this.current) };
+        case "volume": return { status: "ok", volume: this.volume };
+        case "is-playing": return { status: "ok", is_playing: this.playing };
+        case "queue": return shortSongs.map(song => ({ id: song.songId, attributes: song }));
+      }
+      if (path in this.modes) return { status: "ok", value: this.modes[path] };
+      return;
+    }
+
+    switch (path) {
+      case "play":
+      case "pause":
+        this.playing = path === "play";
+        return { status: "ok" };
+      case "volume":
+        this.volume = body.volume;
+        return { status: "ok" };
+    }
+    let mode = modes[path];
+    if (!mode) return;
+    this.modes[mode] = mode === "autoplay" ? !this.modes[mode] : (this.modes[mode] + 1) % (mode === "repeat-mode" ? 3 : 2);
+    return { status: "ok" };
+  }
+}
+
+describe("detectRPC", () => {
+  it("recognizes the RPC API", async () => {
+    let server = new FakeRPCServer();
+    await server.start();
+    assert.equal(await detectRPC("127.0.0.1", server.port), true);
+    await server.stop();
+  });
+
+  it("doesn't mistake the legacy WebSocket API for it", async () => {
+    let server = await startServer();
+    assert.equal(await detectRPC("localhost", server.options.port), false);
+    await server.stop();
+  });
+
+  it("says no if nothing is listening", async () => {
+    assert.equal(await detectRPC("127.0.0.1", await freePort()), false);
+  });
+});
+
+describe("RPCProtocol", () => {
+  let server;
+  let cider;
+
+  before(async () => {
+    server = new FakeRPCServer();
+    await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.requests = [];
+    cider = new CiderWS("127.0.0.1", server.port, { token: "secret", timeout: 1000 });
+    await cider.whenReady(2000);
+  });
+
+  afterEach(() => {
+    cider.close();
+  });
+
+  it("gets picked automatically", () => {
+    assert.ok(cider.protocol instanceof RPCProtocol);
+    assert.equal(cider.readyState(), 1);
+  });
+
+  it("fetches the song and states from the REST API", async () => {
+    let song = await cider.getSong(true);
+    assert.equal(song.title, "One");
+    let states = await cider.getStates();
+    assert.equal(states.volume, 0.5);
+    assert.equal(states.isPlaying, false);
+    // only the detection happens without the token
+    assert.ok(server.requests.filter(r => !r.path.endsWith("/active")).every(r => r.token === "secret"));
+  });
+
+  it("turns Socket.IO events into updates", async () => {
+    await cider.getSong(true);
+    let update = nextEvent(cider, "songUpdate");
+    server.playback("playbackStatus.nowPlayingItemDidChange", shortSongs[1]);
+    assert.equal((await update)[0].title, "Two");
+
+    let play = nextEvent(cider, "play");
+    server.playback("playbackStatus.playbackStateDidChange", { state: "playing", attributes: shortSongs[1] });
+    await play;
+
+    let playback = nextEvent(cider, "playbackUpdate");
+    server.playback("playbackStatus.playbackTimeDidChange", { isPlaying: true, currentPlaybackTime: 0.5, currentPlaybackDuration: 1.5 });
+    let [data] = await playback;
+    assert.equal(data.elapsedTime, 500);
+    assert.equal(data.remainingTime, 1000);
+  });
+
+  it("sends actions to the REST API and picks up the new states", async () => {
+    await cider.getStates(true);
+    let change = nextEvent(cider, "volumeChange");
+    cider.setVolume(0.3);
+    await change;
+    assert.equal(server.volume, 0.3);
+    assert.deepEqual(server.requests.find(r => r.method === "POST").body, { volume: 0.3 });
+
+    cider.command("play");
+    await until(() => server.playing);
+  });
+
+  it("toggles modes until they match", async () => {
+    cider.setRepeat(2);
+    await until(() => server.modes["repeat-mode"] === 2);
+    cider.setShuffle(false);
+    cider.setAutoplay(true);
+    await until(() => server.modes["autoplay"] === true);
+    assert.equal(server.modes["shuffle-mode"], 0);
+    assert.equal(server.requests.filter(r => r.path.includes("toggle-shuffle")).length, 0);
+  });
+
+  it("translates the queue", async () => {
+    await cider.getSong(true);
+    let queue = await cider.getQueue();
+    assert.deepEqual(queue.items.map(s => s.title), ["One", "Two", "Three"]);
+    assert.equal(queue.position, 0);
+  });
+
+  it("rejects what Cider 2 can't do", async () => {
+    await assert.rejects(cider.getLyrics(), UnsupportedActionError);
+  });
+
+  it("reports failed requests", async () => {
+    server.failing.add("/api/v1/playback/next");
+    let error = nextEvent(cider, "error");
+    cider.command("next");
+    assert.match((await error)[0].message, /HTTP 500/);
+    server.failing.clear();
+  });
+
+  it("closes when Cider goes away", async () => {
+    let closed = nextEvent(cider, "close");
+    server.io.disconnectSockets(true);
+    await closed;
+    assert.equal(cider.readyState(), 3);
+  });
+});
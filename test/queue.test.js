@@ -0,0 +1,135 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mockSong } = require("../src/mockserver.js");
+const { ParameterRangeError, TimeoutError, CiderActionError, WebsocketConnectionError } = require("../ciderws.js");
+const { sleep, nextEvent, connect, disconnect } = require("./helpers.js");
+
+const songs = ["A", "B", "C", "D"].map((name, i) => mockSong(String(i + 1), name, "Band", "Album", 60000, ["Pop"]));
+const extra = mockSong("9", "N", "Someone Else", "Single", 60000, ["Pop"]);
+
+describe("Queue", () => {
+  let server;
+  let cider;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({ timeout: 1000 }, { queue: songs, catalog: songs.concat(extra) }));
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  const titles = () => cider.queue.items.map(s => s.title).join("");
+
+  it("moves songs", async () => {
+    await cider.queue.move(3, 1);
+    assert.equal(titles(), "ADBC");
+    await cider.queue.moveMany([[1, 3], [1, 2]]);
+    assert.equal(titles(), "ACBD");
+  });
+
+  it("checks the indices", async () => {
+    await assert.rejects(cider.queue.move(0, 4), ParameterRangeError);
+    await assert.rejects(cider.queue.removeAt(-1), ParameterRangeError);
+  });
+
+  it("removes songs and clears the upcoming ones", async () => {
+    await cider.queue.removeAt(2);
+    assert.equal(titles(), "ABD");
+    await cider.queue.clear();
+    assert.equal(titles(), "A");
+  });
+
+  it("blames failed changes on the change, not the refresh", async () => {
+    let old = await connect({ timeout: 1000 }, { queue: songs, unknownActions: ["queue-remove", "queue-clear"] });
+    try {
+      await assert.rejects(old.cider.queue.removeAt(2), { name: "CiderActionError", action: "queue-remove" });
+      await assert.rejects(old.cider.queue.clear(), { name: "CiderActionError", action: "queue-clear" });
+      assert.equal((await old.cider.getQueue()).length, 4);
+    } finally {
+      await disconnect(old);
+    }
+  });
+
+  it("stops moving at the first failed move", async () => {
+    await cider.getQueue();
+    let moves = 0;
+    server.on("action", (d) => { if (d.action === "queue-move") moves++; });
+    server.failNext("queue-move");
+    let error = await cider.queue.moveMany([[3, 1], [1, 2]]).catch(e => e);
+    assert.ok(error instanceof CiderActionError);
+    assert.equal(error.action, "queue-move");
+    assert.equal(moves, 1);
+    assert.equal(titles(), "ABCD");
+  });
+
+  it("checks the connection even when the queue is known", async () => {
+    await cider.getQueue();
+    cider.close();
+    await assert.rejects(cider.queue.removeAt(1), WebsocketConnectionError);
+    await assert.rejects(cider.queue.insertAt(1, "9"), WebsocketConnectionError);
+    await assert.rejects(cider.queue.move(1, 2), WebsocketConnectionError);
+  });
+
+  it("inserts songs where they belong", async () => {
+    await cider.queue.insertAt(1, "9");
+    assert.equal(titles(), "ANBCD");
+  });
+
+  it("waits for Cider to append before moving", async () => {
+    // Cider 2 appends in a separate request, so the song shows up a little later
+    let handle = server.handleAction.bind(server);
+    server.handleAction = (socket, d) => {
+      if (d.action === "play-later") setTimeout(() => handle(socket, d), 250);
+      else handle(socket, d);
+    };
+    await cider.queue.insertAt(0, "9");
+    assert.equal(titles(), "NABCD");
+  });
+
+  it("inserts a song that's already queued at the right place", async () => {
+    await cider.queue.insertAt(2, "1");
+    assert.equal(titles(), "ABACD");
+  });
+
+  it("times out if the song never shows up", async () => {
+    await assert.rejects(cider.queue.insertAt(1, "404"), TimeoutError);
+    assert.equal(server.queue.length, 4);
+  });
+
+  it("removes duplicates", async () => {
+    await cider.queue.insertAt(4, "2");
+    let removed = await cider.queue.dedupe();
+    assert.deepEqual(removed.map(s => s.title), ["B"]);
+    assert.equal(titles(), "ABCD");
+  });
+
+  it("previews a shuffle without changing anything", async () => {
+    await cider.getQueue();
+    let preview = cider.queue.shufflePreview();
+    assert.deepEqual(preview.map(s => s.title).sort(), ["B", "C", "D"]);
+    assert.equal(titles(), "ABCD");
+  });
+
+  it("emits queueUpdate with what changed", async () => {
+    await cider.getQueue();
+    let update = nextEvent(cider, "queueUpdate");
+    server.queue.push(extra);
+    await cider.getQueue();
+    let [queue, diff] = await update;
+    assert.equal(queue, cider.queue);
+    assert.deepEqual(diff.added.map(a => a.song.title), ["N"]);
+  });
+
+  it("follows song changes", async () => {
+    await cider.getQueue();
+    cider.command("next");
+    await sleep(300);
+    assert.equal(cider.queue.position, 1);
+    assert.equal(cider.queue.current.title, "B");
+    assert.deepEqual(cider.queue.history.map(s => s.title), ["A"]);
+  });
+});
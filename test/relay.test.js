@@ -0,0 +1,130 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocket } = require('ws');
+
+const { CiderWS, CiderRelay, PermissionDeniedError, CiderActionError } = require("../ciderws.js");
+const { sleep, until, nextEvent, freePort, connect, disconnect } = require("./helpers.js");
+
+describe("CiderRelay", () => {
+  let server;
+  let cider;
+  let relay;
+  let clients;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect());
+    relay = new CiderRelay(cider, { port: await freePort(), host: "127.0.0.1", tokens: { secret: "control" } });
+    await relay.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (let client of clients) client.close();
+    await relay.stop();
+    await disconnect({ server, cider });
+  });
+
+  const join = async (options = {}) => {
+    let client = new CiderWS("127.0.0.1", relay.options.port, Object.assign({ protocol: "legacy", timeout: 1000 }, options));
+    clients.push(client);
+    await client.whenReady(2000);
+    return client;
+  };
+
+  it("passes playback updates to every client", async () => {
+    let a = await join();
+    let b = await join();
+    let updates = Promise.all([nextEvent(a, "songUpdate"), nextEvent(b, "songUpdate")]);
+    cider.command("next");
+    let [[songA], [songB]] = await updates;
+    assert.equal(songA.title, "Take On Me");
+    assert.equal(songB.title, "Take On Me");
+  });
+
+  it("lets readers fetch but not control", async () => {
+    let reader = await join();
+    assert.equal((await reader.getSong()).title, "Never Gonna Give You Up");
+    assert.equal((await reader.getQueue()).length, 4);
+    assert.equal((await reader.search("toto"))[0].title, "Africa");
+
+    let denied = nextEvent(relay, "denied");
+    let error = nextEvent(reader, "error");
+    reader.setVolume(0.2);
+    let [client, action] = await denied;
+    assert.equal(action, "volume");
+    assert.equal(client.permission, "read");
+    assert.ok((await error)[0] instanceof PermissionDeniedError);
+    await sleep(50);
+    assert.equal(server.volume, 1);
+  });
+
+  it("lets clients with a token control", async () => {
+    let controller = await join({ token: "secret" });
+    controller.setVolume(0.2);
+    await until(() => server.volume === 0.2);
+    controller.command("play");
+    await until(() => server.isPlaying);
+  });
+
+  it("takes the token from the URL", async () => {
+    let socket = new WebSocket(`ws://127.0.0.1:${relay.options.port}/?token=secret`);
+    let [client] = await nextEvent(relay, "connection");
+    assert.equal(client.permission, "control");
+    await nextEvent(socket, "open");
+    socket.close();
+  });
+
+  it("changes permissions of connected clients", async () => {
+    let connection = nextEvent(relay, "connection");
+    let client = await join();
+    let [entry] = await connection;
+    relay.setPermission(entry, "control");
+    client.setVolume(0.4);
+    await until(() => server.volume === 0.4);
+    relay.setPermission(entry, null);
+    await assert.rejects(client.getQueue(), PermissionDeniedError);
+  });
+
+  it("keeps clients without permission out", async () => {
+    relay.options.defaultPermission = null;
+    let client = await join();
+    await assert.rejects(client.getSong(true), PermissionDeniedError);
+  });
+
+  it("asks Cider only once for identical requests", async () => {
+    let a = await join();
+    let b = await join();
+    let asked = 0;
+    server.on("action", (d) => { if (d.action === "get-queue") asked++; });
+    let [queueA, queueB] = await Promise.all([a.getQueue(), b.getQueue()]);
+    assert.equal(queueA.length, 4);
+    assert.equal(queueB.length, 4);
+    assert.equal(asked, 1);
+  });
+
+  it("passes Action not found on", async () => {
+    let client = await join();
+    server.failNext("get-lyrics");
+    await assert.rejects(client.getLyrics(), CiderActionError);
+  });
+
+  it("doesn't let anyone quit Cider", async () => {
+    let client = await join({ token: "secret" });
+    let error = nextEvent(client, "error");
+    client.quit();
+    assert.ok((await error)[0] instanceof CiderActionError);
+    assert.equal(cider.readyState(), 1);
+  });
+
+  it("disconnects everyone when stopped", async () => {
+    let client = await join();
+    let closed = nextEvent(client, "close");
+    let disconnected = nextEvent(relay, "disconnect");
+    await relay.stop();
+    await closed;
+    await disconnected;
+    assert.equal(relay.clients.size, 0);
+  });
+});
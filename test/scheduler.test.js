@@ -0,0 +1,205 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  CiderWS,
+  MissingParameterError,
+  ParameterValueError,
+  ParameterTypeMismatchError,
+} = require("../ciderws.js");
+const { shortSongs, sleep, until, nextEvent, connect, disconnect } = require("./helpers.js");
+
+describe("Scheduler", () => {
+  let server;
+  let cider;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({}, { queue: shortSongs }));
+    await cider.getSong();
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  it("pauses after a while", async () => {
+    cider.command("play");
+    await until(() => server.isPlaying);
+    let job = cider.pauseIn(200);
+    assert.equal(job.name, "sleep timer");
+    assert.deepEqual(cider.scheduler.jobs, [job]);
+    let [fired] = await nextEvent(cider.scheduler, "fired");
+    assert.equal(fired, job);
+    await until(() => !server.isPlaying);
+    assert.deepEqual(cider.scheduler.jobs, []);
+  });
+
+  it("fades out before pausing, right on time", async () => {
+    server.volume = 0.6;
+    cider.command("play");
+    await until(() => server.isPlaying);
+    let volumes = [];
+    server.on("action", (d) => { if (d.action === "volume") volumes.push(d.volume); });
+    let start = Date.now();
+    cider.pauseIn(500, 300);
+    await until(() => !server.isPlaying);
+    assert.ok(Date.now() - start < 800);
+    assert.ok(volumes.includes(0));
+    await until(() => server.volume === 0.6);
+  });
+
+  it("pauses and runs the other actions after fading", async () => {
+    server.volume = 0.6;
+    cider.command("play");
+    await until(() => server.isPlaying);
+    cider.schedule({ in: 300, fade: 200, do: { command: "pause", setRepeat: 2 } });
+    await until(() => !server.isPlaying && server.repeatMode === 2);
+    await until(() => server.volume === 0.6);
+  });
+
+  it("doesn't fade jobs from old files that don't pause", async () => {
+    cider.command("play");
+    await until(() => server.isPlaying);
+    let job = cider.schedule({ in: 100, do: { setVolume: 0.3 } });
+    job.fade = 50;
+    await until(() => server.volume === 0.3);
+    await sleep(200);
+    assert.equal(server.isPlaying, true);
+  });
+
+  it("runs other actions", async () => {
+    cider.schedule({ in: 100, do: { setVolume: 0.3, setRepeat: 1 } });
+    await until(() => server.volume === 0.3 && server.repeatMode === 1);
+  });
+
+  it("pauses at the end of the track", async () => {
+    cider.command("play");
+    await until(() => server.isPlaying);
+    cider.pauseAfter("track");
+    await until(() => !server.isPlaying, 3000);
+    assert.equal(server.current.name, "One");
+  });
+
+  it("pauses at the end of the album", async () => {
+    cider.command("play");
+    await until(() => server.isPlaying);
+    cider.pauseAfter("album");
+    await until(() => !server.isPlaying, 5000);
+    assert.equal(server.current.name, "Two");
+  });
+
+  it("cancels jobs by job, ID or name", async () => {
+    let a = cider.schedule({ in: 60000 });
+    let b = cider.schedule({ in: 60000 });
+    cider.schedule({ name: "alarm", at: "07:00", do: { command: "play" } });
+    let cancelled = nextEvent(cider.scheduler, "cancelled");
+    assert.equal(cider.cancelJob(a), true);
+    assert.deepEqual(await cancelled, [a, "cancelled"]);
+    assert.equal(cider.cancelJob(b.id), true);
+    assert.equal(cider.cancelJob("alarm"), true);
+    assert.equal(cider.cancelJob("alarm"), false);
+    assert.deepEqual(cider.scheduler.jobs, []);
+  });
+
+  it("finds the next time for cron jobs and HH:MM", () => {
+    let cron = cider.schedule({ cron: "30 7 * * *" });
+    let time = new Date(cron.time);
+    assert.equal(time.getHours(), 7);
+    assert.equal(time.getMinutes(), 30);
+    assert.ok(cron.time > Date.now() && cron.time <= Date.now() + 86400000);
+
+    let at = cider.schedule({ at: "07:30" });
+    assert.equal(at.time, cron.time);
+    cider.scheduler.cancelAll();
+  });
+
+  it("checks the jobs", () => {
+    assert.throws(() => cider.schedule("later"), ParameterTypeMismatchError);
+    assert.throws(() => cider.schedule({ do: { command: "play" } }), MissingParameterError);
+    assert.throws(() => cider.schedule({ in: 100, at: "07:00" }), ParameterValueError);
+    assert.throws(() => cider.schedule({ in: 100, do: { explode: true } }), ParameterValueError);
+    assert.throws(() => cider.schedule({ cron: "every day" }), ParameterTypeMismatchError);
+    assert.throws(() => cider.schedule({ cron: "0 0 31 2 *" }), ParameterTypeMismatchError);
+    assert.throws(() => cider.pauseAfter("song"), ParameterValueError);
+    // a fade always ends in a pause
+    assert.throws(() => cider.schedule({ in: 100, fade: 50, do: { setVolume: 0.3 } }), ParameterValueError);
+    assert.throws(() => cider.schedule({ in: 100, fade: 50, do: { playById: ["pl.mock", "playlist"] } }), ParameterValueError);
+    assert.deepEqual(cider.scheduler.jobs, []);
+  });
+
+  it("keeps the process alive until close()", async () => {
+    let job = cider.pauseIn(60000);
+    assert.equal(cider.scheduler.timers.get(job.id).hasRef(), true);
+    cider.close();
+    assert.equal(cider.scheduler.timers.get(job.id).hasRef(), false);
+    cider.connect();
+    assert.equal(cider.scheduler.timers.get(job.id).hasRef(), true);
+    cider.cancelJob(job);
+  });
+
+  describe("with a file", () => {
+    let dir;
+    let file;
+    let others;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "ciderws-"));
+      file = path.join(dir, "jobs.json");
+      others = [];
+    });
+
+    afterEach(async () => {
+      for (let other of others) {
+        other.scheduler.cancelAll();
+        other.close();
+        await other.scheduler.saving;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const open = () => {
+      let other = new CiderWS("localhost", server.options.port, { protocol: "legacy", scheduleFile: file });
+      others.push(other);
+      return other;
+    };
+
+    it("restores the jobs", async () => {
+      let first = open();
+      await first.scheduler.loading;
+      first.schedule({ name: "alarm", cron: "0 7 * * 1-5", do: { playById: ["pl.mock", "playlist"] } });
+      first.schedule({ name: "later", in: 60000 });
+      await first.scheduler.saving;
+      first.close();
+
+      let second = open();
+      await second.scheduler.loading;
+      assert.deepEqual(second.scheduler.jobs.map(j => j.name), ["alarm", "later"]);
+      // new jobs don't take the IDs of the restored ones
+      let job = second.schedule({ in: 60000 });
+      assert.equal(second.scheduler.jobs.filter(j => j.id === job.id).length, 1);
+      second.scheduler.cancelAll();
+      await second.scheduler.saving;
+      assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), []);
+    });
+
+    it("cancels jobs missed in the meantime", async () => {
+      fs.writeFileSync(file, JSON.stringify([
+        { id: 1, name: "missed", do: { command: "pause" }, fade: 0, time: Date.now() - 1000 },
+        { id: 2, name: "daily", do: { command: "play" }, fade: 0, time: Date.now() - 1000, cron: "0 7 * * *" },
+      ]));
+      let other = open();
+      let cancelled = [];
+      other.scheduler.on("cancelled", (job, reason) => cancelled.push(`${job.name}:${reason}`));
+      await other.scheduler.loading;
+      assert.deepEqual(cancelled, ["missed:missed"]);
+      let [daily] = other.scheduler.jobs;
+      assert.equal(daily.name, "daily");
+      assert.ok(daily.time > Date.now());
+    });
+  });
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Scrobbler, JSONLinesStore, StubAdapter, ScrobbleAdapter } = require("../ciderws.js");
+const { shortSongs, nextEvent, connect, disconnect } = require("./helpers.js");
+
+/**
+ * Stands in for CiderWS, so playback can be played through step by step
+ */
+class FakeCider extends EventEmitter {
+  constructor() {
+    super();
+    this.errors = [];
+  }
+
+  handleError(error) {
+    this.errors.push(error);
+  }
+
+  song(title, duration) {
+    this.emit("songUpdate", { id: title, title, duration });
+  }
+
+  play(...times) {
+    for (let elapsedTime of times) this.emit("playbackUpdate", { isPlaying: true, elapsedTime });
+  }
+}
+
+/**
+ * @returns {number[]} from, from + step, ..., to
+ */
+function range(from, to, step = 5000) {
+  let values = [];
+  for (let t = from; t <= to; t += step) values.push(t);
+  return values;
+}
+
+describe("Scrobbler", () => {
+  let cider;
+  let scrobbler;
+  let scrobbled;
+  let skipped;
+
+  beforeEach(() => {
+    cider = new FakeCider();
+    scrobbler = new Scrobbler(cider);
+    scrobbled = [];
+    skipped = [];
+    // scrobbles are emitted once they are stored, so the two don't come in order
+    scrobbler.on("scrobble", (entry) => scrobbled.push(entry.song.title));
+    scrobbler.on("skip", (entry) => skipped.push(entry.song.title));
+  });
+
+  it("counts songs played for half their length", async () => {
+    cider.song("Half", 200000);
+    cider.play(...range(0, 100000));
+    cider.song("Less", 200000);
+    cider.play(...range(0, 95000));
+    await scrobbler.flush();
+    assert.deepEqual([scrobbled, skipped], [["Half"], ["Less"]]);
+    let [entry] = await scrobbler.history();
+    assert.equal(entry.playedTime, 100000);
+    assert.ok(entry.endedAt >= entry.startedAt);
+  });
+
+  it("counts long songs after 4 minutes", async () => {
+    cider.song("Long", 600000);
+    cider.play(...range(0, 240000));
+    await scrobbler.flush();
+    assert.deepEqual([scrobbled, skipped], [["Long"], []]);
+  });
+
+  it("never counts short songs", async () => {
+    cider.song("Short", 30000);
+    cider.play(...range(0, 30000));
+    await scrobbler.flush();
+    assert.deepEqual([scrobbled, skipped], [[], ["Short"]]);
+  });
+
+  it("doesn't count seeking or pauses", async () => {
+    cider.song("Seeked", 200000);
+    cider.play(0, 5000, 150000, 155000);
+    cider.emit("playbackUpdate", { isPlaying: false, elapsedTime: 155000 });
+    cider.emit("playbackUpdate", { isPlaying: false, elapsedTime: 155000 });
+    await scrobbler.flush();
+    assert.deepEqual([scrobbled, skipped], [[], ["Seeked"]]);
+  });
+
+  it("counts every round of a song on repeat", async () => {
+    let playing = [];
+    scrobbler.on("nowPlaying", (song) => playing.push(song.title));
+    cider.song("Loop", 200000);
+    cider.play(...range(0, 195000), 1000, 6000);
+    await scrobbler.flush();
+    assert.deepEqual([scrobbled, skipped], [["Loop"], ["Loop"]]);
+    assert.deepEqual(playing, ["Loop", "Loop"]);
+  });
+
+  it("tells the adapters and reports their errors", async () => {
+    let stub = new StubAdapter();
+    let broken = new ScrobbleAdapter();
+    broken.scrobble = () => Promise.reject(new Error("offline"));
+    scrobbler.addAdapter(stub);
+    scrobbler.addAdapter(broken);
+
+    cider.song("Sent", 200000);
+    cider.play(...range(0, 100000));
+    await scrobbler.stop();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(stub.nowPlayingCalls.map(s => s.title), ["Sent"]);
+    assert.deepEqual(stub.scrobbles.map(e => e.song.title), ["Sent"]);
+    assert.deepEqual(cider.errors.map(e => e.message), ["offline"]);
+
+    // stopped, so nothing is tracked anymore
+    cider.song("Ignored", 200000);
+    assert.equal(stub.nowPlayingCalls.length, 1);
+  });
+});
+
+describe("JSONLinesStore", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ciderws-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("appends and filters the history", async () => {
+    let store = new JSONLinesStore(path.join(dir, "history.jsonl"));
+    assert.deepEqual(await store.list(), []);
+    for (let startedAt of [1000, 2000, 3000]) await store.add({ song: { title: String(startedAt) }, startedAt });
+    assert.equal((await store.list()).length, 3);
+    assert.deepEqual((await store.list({ since: 2000 })).map(e => e.startedAt), [2000, 3000]);
+    assert.deepEqual((await store.list({ limit: 1 })).map(e => e.startedAt), [3000]);
+  });
+});
+
+describe("Scrobbler with Cider", () => {
+  let server;
+  let cider;
+
+  beforeEach(async () => {
+    ({ server, cider } = await connect({}, { queue: shortSongs }));
+  });
+
+  afterEach(async () => {
+    await disconnect({ server, cider });
+  });
+
+  it("scrobbles a song played to the end", async () => {
+    let scrobbler = new Scrobbler(cider, { minDuration: 1000 });
+    cider.command("play");
+    let [entry] = await nextEvent(scrobbler, "scrobble", 3000);
+    assert.equal(entry.song.title, "One");
+    assert.ok(entry.playedTime >= 750, `played ${entry.playedTime}ms`);
+
+    let skipped = nextEvent(scrobbler, "skip");
+    cider.command("next");
+    assert.equal((await skipped)[0].song.title, "Two");
+    await scrobbler.stop();
+  });
+});
@@ -0,0 +1,107 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CiderWS, ReplayProtocol, readRecording, UnsupportedActionError } = require("../ciderws.js");
+const { shortSongs, sleep, nextEvent, connect, disconnect } = require("./helpers.js");
+
+const EVENTS = ["songUpdate", "statesUpdate", "play", "pause", "volumeChange", "songSkip"];
+
+function watch(cider) {
+  let log = [];
+  for (let event of EVENTS) cider.on(event, (value) => log.push(value && value.title ? `${event}:${value.title}` : event));
+  return log;
+}
+
+describe("recording and replaying", () => {
+  let dir;
+  let file;
+  let live;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ciderws-"));
+    file = path.join(dir, "session.jsonl");
+
+    let { server, cider } = await connect({ record: file }, { queue: shortSongs, tickInterval: 1000 });
+    live = watch(cider);
+    await cider.getSong(true);
+    await cider.getQueue();
+    cider.command("play");
+    await sleep(100);
+    cider.setVolume(0.4);
+    await sleep(100);
+    cider.command("next");
+    await sleep(100);
+    cider.command("pause");
+    await sleep(100);
+    await disconnect({ server, cider });
+    // close() finishes the recording, this waits for it
+    await cider.protocol.stop();
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records every frame", () => {
+    let frames = readRecording(file);
+    assert.equal(frames[0].dir, "meta");
+    assert.equal(frames[0].protocol, "LegacyProtocol");
+    let sent = frames.filter(f => f.dir === "out").map(f => f.data.action);
+    assert.deepEqual(sent.slice(0, 2), ["get-currentmediaitem", "get-queue"]);
+    // the queue refreshes itself on song changes, so there are more requests in between
+    assert.deepEqual(sent.filter(a => !a.startsWith("get-")), ["play", "volume", "next", "pause"]);
+    let out = frames.find(f => f.dir === "out" && f.data.action === "get-currentmediaitem");
+    assert.equal(out.replyType, "playbackStateUpdate");
+    assert.deepEqual(frames.filter(f => f.dir === "reply").map(f => f.type).slice(0, 2), ["playbackStateUpdate", "queue"]);
+    assert.ok(frames.every((f, i) => i === 0 || f.t >= frames[i - 1].t));
+  });
+
+  it("plays the recording back with the same events", async () => {
+    let replay = new ReplayProtocol(file, { speed: 10 });
+    let cider = new CiderWS("localhost", undefined, { protocol: replay });
+    let log = watch(cider);
+    await nextEvent(replay, "end");
+    assert.deepEqual(log, live);
+    cider.close();
+  });
+
+  it("answers requests with the recorded replies", async () => {
+    let replay = new ReplayProtocol(readRecording(file), { speed: Infinity });
+    let cider = new CiderWS("localhost", undefined, { protocol: replay });
+    await nextEvent(replay, "end");
+    assert.equal((await cider.getSong(true)).title, "Two");
+    assert.equal((await cider.getQueue()).length, 3);
+    await assert.rejects(cider.getLyrics(), UnsupportedActionError);
+    cider.setVolume(0.1);
+    assert.deepEqual(replay.sent.map(p => p.action).slice(-4), ["get-currentmediaitem", "get-queue", "get-lyrics", "volume"]);
+    cider.close();
+  });
+
+  it("steps through the recording", async () => {
+    let replay = new ReplayProtocol(file, { step: true });
+    let cider = new CiderWS("localhost", undefined, { protocol: replay });
+    let log = watch(cider);
+    await cider.whenReady(1000);
+    await sleep(50);
+    assert.deepEqual(log, []);
+    let frame = replay.next();
+    assert.equal(frame.dir, "in");
+    assert.equal(replay.position, 1);
+    while (replay.next());
+    assert.deepEqual(log, live);
+    cider.close();
+    assert.equal(replay.next(), undefined);
+  });
+
+  it("fails like a connection if the recording can't be read", async () => {
+    let cider = new CiderWS("localhost", undefined, { protocol: new ReplayProtocol(path.join(dir, "nope.jsonl")) });
+    let error = nextEvent(cider, "error");
+    await assert.rejects(cider.whenReady(1000));
+    assert.equal((await error)[0].code, "ENOENT");
+  });
+});